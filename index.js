@@ -9,6 +9,33 @@ import { serveStatic } from '@hono/node-server/serve-static';
 import { validator } from 'hono/validator';
 import fs from 'fs/promises';
 import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { requireAdmin, requireStudent, requireStudentOrAdmin, getBearerToken, getClientIp, tokenErrorResponse, hasRole, ROLES } from './utils/auth.js';
+import { ADMIN_PUBLIC_COLUMNS, validateRoles, changeAdminGuarded } from './utils/adminAccounts.js';
+import { recordAudit, getStudentSnapshot } from './utils/audit.js';
+import { recordStatusChange } from './utils/statusHistory.js';
+import { evaluateCohort } from './utils/promotion.js';
+import { expireAcademicLeaves, validateAsOf } from './utils/leaveExpiry.js';
+import { validateLeaveApplication, LEAVE_APPLICATION_STATUSES } from './utils/leaveApplications.js';
+import { regNumberPaths, resolveRegistrationNumber } from './utils/registrationNumberParams.js';
+import { generateRegistrationNumber, previewRegistrationNumbers, parseIntakeYear, validatePattern } from './utils/registrationNumbers.js';
+import { CLEARANCE_DEPARTMENTS, CLEARANCE_STATUSES, DEREGISTRATION_REQUEST_STATUSES, getDeregistrationRequest, outstandingClearances } from './utils/deregistrationClearance.js';
+import { STUDENT_COLUMNS, parseStudentListQuery } from './utils/studentQuery.js';
+import { EXPORT_FORMATS, parseExportColumns, exportSelectList, writeStudentExport } from './utils/studentExport.js';
+import { parseStudentCsv, validateImportRow } from './utils/studentImport.js';
+import { CONTACT_FIELDS, validateContact, getStudentContacts } from './utils/studentContacts.js';
+import { findDuplicateCandidates, matchStudent, describeMatch } from './utils/duplicateStudents.js';
+import { mergeStudents } from './utils/studentMerge.js';
+import { AWARD_CLASSES, checkGraduationEligibility, finishedStudentResponse } from './utils/graduation.js';
+import { loadDashboardSections } from './utils/studentDashboard.js';
+import { validateCourse, findCourse, resolveCourse, resolveCourses, findConflictingCourses, getCourse, mergeCourses } from './utils/courses.js';
+import { validateStudentUpdate, ADMIN_EDITABLE_FIELDS, SELF_SERVICE_FIELDS } from './utils/studentValidation.js';
+import { generateSecret as generateTotpSecret, buildOtpauthUri } from './utils/totp.js';
+import { verifySecondFactor, replaceRecoveryCodes, countUnusedRecoveryCodes } from './utils/twoFactor.js';
+import { createSession, signAccessToken, rotateRefreshToken, revokeSession, revokeAccountSessions } from './utils/sessions.js';
+import { validatePassword, generateToken, hashToken } from './utils/password.js';
+import { sendMail } from './utils/mailer.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, unlockAccount } from './utils/loginThrottle.js';
 
 const app = new Hono();
 
@@ -37,7 +64,7 @@ app.use('*', cors({
     'X-Email'
   ],
   credentials: true,
-  exposeHeaders: ['Content-Length', 'X-Total-Count'],
+  exposeHeaders: ['Content-Length', 'X-Total-Count', 'Content-Disposition'],
   optionsSuccessStatus: 200,
   maxAge: 86400 // Cache preflight for 24 hours
 }));
@@ -188,8 +215,8 @@ async function uploadFileToSupabase(file, folder, prefix = '') {
   };
 }
 
-// Get all students
-app.get('/students', async (c) => {
+// List students (search, filters, sorting and pagination; total in X-Total-Count)
+app.get('/students', requireAdmin(), async (c) => {
   try {
     console.log('Fetching students');
     
@@ -205,18 +232,25 @@ app.get('/students', async (c) => {
       }, 503); // Service Unavailable
     }
     
-    const status = c.req.query('status');
-    let query = 'SELECT * FROM students';
-    let params = [];
-    
-    // If status query parameter is provided, filter by status
-    if (status) {
-      query += ' WHERE status = $1';
-      params.push(status);
+    const listing = parseStudentListQuery(c.req.query());
+    if (listing.error) {
+      return c.json({ error: 'Invalid query parameters', details: listing.error }, 400);
     }
     
-    const { rows } = await pool.query(query, params);
-    console.log(`Successfully fetched ${rows.length} students`);
+    const { where, params, orderBy, limit, offset } = listing;
+    
+    const { rows: countRows } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM students ${where}`,
+      params
+    );
+    const { rows } = await pool.query(
+      `SELECT ${STUDENT_COLUMNS} FROM students ${where} ${orderBy} 
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    
+    console.log(`Successfully fetched ${rows.length} of ${countRows[0].total} students`);
+    c.header('X-Total-Count', String(countRows[0].total));
     return c.json(rows);
   } catch (error) {
     console.error('Error fetching students:', error);
@@ -229,13 +263,14 @@ app.get('/students', async (c) => {
 });
 
 // Get students by status
-app.get('/students/status/:statusType', async (c) => {
+app.get('/students/status/:statusType', requireAdmin(), async (c) => {
   try {
-    const statusType = c.req.param('statusType'); // 'active', 'deregistered', or 'on_leave'
+    const statusType = c.req.param('statusType'); // 'active', 'on_leave', 'deregistered', 'completed', 'graduated' or 'alumni'
     const { rows } = await pool.query(
-      'SELECT * FROM students WHERE status = $1',
+      `SELECT ${STUDENT_COLUMNS} FROM students WHERE status = $1 ORDER BY name, id`,
       [statusType]
     );
+    c.header('X-Total-Count', String(rows.length));
     return c.json(rows);
   } catch (error) {
     console.error('Error fetching students by status:', error);
@@ -243,12 +278,139 @@ app.get('/students/status/:statusType', async (c) => {
   }
 });
 
+// Export students as CSV or XLSX, with the same filters as GET /students.
+// Rows are read with a cursor and streamed, so large exports are not buffered.
+app.get('/students/export', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const format = (c.req.query('format') || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return c.json({ 
+        error: 'Invalid format', 
+        details: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` 
+      }, 400);
+    }
+    
+    const { columns, error: columnsError } = parseExportColumns(c.req.query('columns'));
+    if (columnsError) {
+      return c.json({ error: 'Invalid columns', details: columnsError }, 400);
+    }
+    
+    // Pagination does not apply to exports
+    const { page, limit, ...filters } = c.req.query();
+    const listing = parseStudentListQuery(filters);
+    if (listing.error) {
+      return c.json({ error: 'Invalid query parameters', details: listing.error }, 400);
+    }
+    
+    const batches = sql.unsafe(
+      `SELECT ${exportSelectList(columns)} FROM students ${listing.where} ${listing.orderBy}`,
+      listing.params
+    ).cursor(500);
+    
+    const out = new PassThrough();
+    writeStudentExport(out, { format, columns, batches }).catch(error => {
+      console.error('Error streaming student export:', error);
+      out.destroy(error);
+    });
+    
+    const fileName = `students-${new Date().toISOString().split('T')[0]}.${format}`;
+    console.log(`Admin ${c.get('admin').username} exporting students as ${format}`);
+    
+    return c.body(Readable.toWeb(out), 200, {
+      'Content-Type': EXPORT_FORMATS[format],
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+  } catch (error) {
+    console.error('Error exporting students:', error);
+    return c.json({ 
+      error: 'Failed to export students', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Existing students that may be the same person as studentData. Unless the request
+// sets allow_duplicate (body, form field or query), any match is refused with a
+// 409 listing the candidates. Returns { matches, response }.
+async function checkPossibleDuplicates(c, studentData) {
+  const override = [studentData.allow_duplicate, c.req.query('allow_duplicate')]
+    .some(value => ['true', '1', 'yes'].includes(String(value).toLowerCase()));
+  
+  const [matches] = await findDuplicateCandidates([studentData]);
+  if (matches.length === 0 || override) {
+    if (matches.length > 0) {
+      console.log(`Creating student despite ${matches.length} possible duplicates (override)`);
+    }
+    return { matches, response: null };
+  }
+  
+  return {
+    matches,
+    response: c.json({
+      error: 'Possible duplicate student',
+      details: 'Existing students match this national ID, birth certificate, email or name and date of birth. Merge the records, or resend with allow_duplicate=true if this is a different person.',
+      matches
+    }, 409)
+  };
+}
+
+// Match studentData.course against the course catalogue and replace it with the
+// course name, setting studentData.course_id and course_code (which keys registration
+// number patterns). Returns an error response, or null.
+async function assignCourse(c, studentData) {
+  const { course, error } = await resolveCourse(studentData.course);
+  if (error) {
+    return c.json({ error: 'Invalid course', details: error }, 400);
+  }
+  
+  studentData.course = course.name;
+  studentData.course_code = course.code;
+  studentData.course_id = course.id;
+  return null;
+}
+
+// Code of the catalogue course `value` names, or `value` itself when it matches no
+// course (for lookups of records that may predate the catalogue)
+async function courseCode(value) {
+  const course = await findCourse(value);
+  return course ? course.code : value;
+}
+
+// Set studentData.registration_number to the next number of the student's course
+// and intake_year (default: this year). Pass the transaction's `sql` that inserts
+// the student, so a failed insert does not use up the number.
+// Returns an error response, or null.
+async function assignRegistrationNumber(c, studentData, { sql }) {
+  const intakeYear = parseIntakeYear(studentData.intake_year);
+  if (intakeYear === null) {
+    return c.json({ 
+      error: 'Invalid intake year', 
+      details: 'intake_year must be a year between 2000 and 2100' 
+    }, 400);
+  }
+  
+  const code = studentData.course_code || studentData.course;
+  const generated = await generateRegistrationNumber(code, { intakeYear, sql });
+  if (generated.error) {
+    return c.json({ 
+      error: 'Registration number required', 
+      details: `${generated.error}. Provide "registration_number" or configure a pattern for the course.` 
+    }, 400);
+  }
+  
+  console.log(`Generated registration number ${generated.registrationNumber} for ${code} ${intakeYear}`);
+  studentData.registration_number = generated.registrationNumber;
+  return null;
+}
+
 // Create new student
-app.post('/students', async (c) => {
+app.post('/students', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
     console.log('Creating new student');
     let studentData = {};
+    let photoFile = null;
     let photoUrl = null;
+    let duplicateCheck = null;
     
     // Check content type to determine how to parse the request
     const contentType = c.req.header('content-type') || '';
@@ -269,20 +431,30 @@ app.post('/students', async (c) => {
           birth_certificate: formData.get('birth_certificate')?.toString() || null,
           date_of_birth: formData.get('date_of_birth')?.toString() || null,
           password: formData.get('password')?.toString() || null,
-          email: formData.get('email')?.toString() || null
+          email: formData.get('email')?.toString() || null,
+          intake_year: formData.get('intake_year')?.toString(),
+          allow_duplicate: formData.get('allow_duplicate')?.toString()
         };
         
         // Validate required fields early
-        if (!tempStudentData.name || !tempStudentData.registration_number || !tempStudentData.course || !tempStudentData.level_of_study) {
+        if (!tempStudentData.name || !tempStudentData.course || !tempStudentData.level_of_study) {
           return c.json({ 
             error: 'Missing required fields', 
-            details: 'Name, registration number, course, and level of study are required' 
+            details: 'Name, course, and level of study are required' 
           }, 400);
         }
         
-        // Handle photo upload FIRST if present
-        const photoFile = formData.get('photo');
-        if (photoFile && photoFile instanceof File && photoFile.size > 0) {
+        const courseResponse = await assignCourse(c, tempStudentData);
+        if (courseResponse) return courseResponse;
+        
+        // Check for duplicates before uploading the photo
+        duplicateCheck = await checkPossibleDuplicates(c, tempStudentData);
+        if (duplicateCheck.response) return duplicateCheck.response;
+        
+        // Check the photo now; it is uploaded once the registration number is known
+        const photo = formData.get('photo');
+        if (photo && photo instanceof File && photo.size > 0) {
+          photoFile = photo;
           console.log('Processing photo upload:', photoFile.name, photoFile.size);
           
           // Validate photo file type
@@ -301,23 +473,6 @@ app.post('/students', async (c) => {
               details: 'Photo must be less than 5MB' 
             }, 400);
           }
-          
-          try {
-            console.log('Uploading student photo to Supabase...');
-            const uploadResult = await uploadFileToSupabase(
-              photoFile,
-              'photos',
-              `student_${tempStudentData.registration_number}`
-            );
-            photoUrl = uploadResult.publicUrl;
-            console.log('Photo uploaded successfully:', photoUrl);
-          } catch (uploadError) {
-            console.error('Photo upload failed:', uploadError.message);
-            return c.json({ 
-              error: 'Photo upload failed', 
-              details: uploadError.message 
-            }, 500);
-          }
         }
         
         // Now assign the validated student data
@@ -346,12 +501,21 @@ app.post('/students', async (c) => {
     }
     
     // Validate required fields
-    if (!studentData.name || !studentData.registration_number || !studentData.course || !studentData.level_of_study) {
+    if (!studentData.name || !studentData.course || !studentData.level_of_study) {
       return c.json({ 
         error: 'Missing required fields', 
-        details: 'Name, registration number, course, and level of study are required' 
+        details: 'Name, course, and level of study are required' 
       }, 400);
     }
+    
+    if (!duplicateCheck) {
+      const courseResponse = await assignCourse(c, studentData);
+      if (courseResponse) return courseResponse;
+      
+      duplicateCheck = await checkPossibleDuplicates(c, studentData);
+      if (duplicateCheck.response) return duplicateCheck.response;
+    }
+    
       console.log('Student data received:', {
       ...studentData,
       password: studentData.password ? '[PROVIDED]' : '[NOT PROVIDED]'
@@ -371,70 +535,115 @@ app.post('/students', async (c) => {
       }
     }
     
-    // Log all values that will be inserted to identify undefined values
-    const insertValues = [
-      studentData.name,
-      studentData.registration_number,
-      studentData.course,
-      studentData.level_of_study,
-      studentData.national_id,
-      studentData.birth_certificate,
-      studentData.date_of_birth,
-      hashedPassword,
-      photoUrl,
-      studentData.email,
-      'active'
-    ];
-    
-    console.log('Insert values:', insertValues.map((val, idx) => `$${idx + 1}: ${val === undefined ? 'UNDEFINED' : val === null ? 'NULL' : typeof val === 'string' ? `"${val}"` : val}`));
-    
-    // Check if student with this registration number already exists
+    // Allocate the registration number, upload the photo (named after the number)
+    // and insert the student in one transaction, so a number is only used up by a
+    // student that was created
+    let photoError = null;
     try {
-      const { rows: existingStudents } = await pool.query(
-        'SELECT id FROM students WHERE registration_number = $1',
-        [studentData.registration_number]
-      );
+      const result = await sql.begin(async sql => {
+        // Without a registration number, allocate the next one from the course's pattern
+        if (!studentData.registration_number) {
+          const response = await assignRegistrationNumber(c, studentData, { sql });
+          if (response) return { response };
+        }
+        
+        // Check if student with this registration number already exists
+        const existingStudents = await sql`
+          SELECT id FROM students WHERE registration_number = ${studentData.registration_number}
+        `;
+        if (existingStudents.length > 0) {
+          return {
+            response: c.json({ 
+              error: 'Student already exists', 
+              details: `A student with registration number '${studentData.registration_number}' already exists` 
+            }, 409)
+          };
+        }
+        
+        if (photoFile) {
+          try {
+            console.log('Uploading student photo to Supabase...');
+            const uploadResult = await uploadFileToSupabase(
+              photoFile,
+              'photos',
+              `student_${studentData.registration_number}`
+            );
+            photoUrl = uploadResult.publicUrl;
+            console.log('Photo uploaded successfully:', photoUrl);
+          } catch (uploadError) {
+            console.error('Photo upload failed:', uploadError.message);
+            photoError = uploadError;
+            throw uploadError;
+          }
+        }
+        
+        // Log all values that will be inserted to identify undefined values
+        const insertValues = [
+          studentData.name,
+          studentData.registration_number,
+          studentData.course,
+          studentData.level_of_study,
+          studentData.national_id,
+          studentData.birth_certificate,
+          studentData.date_of_birth,
+          hashedPassword,
+          photoUrl,
+          studentData.email,
+          'active',
+          studentData.course_id
+        ];
+        
+        console.log('Insert values:', insertValues.map((val, idx) => `$${idx + 1}: ${val === undefined ? 'UNDEFINED' : val === null ? 'NULL' : typeof val === 'string' ? `"${val}"` : val}`));
+        
+        const [student] = await sql.unsafe(`
+          INSERT INTO students (
+            name, 
+            registration_number, 
+            course, 
+            level_of_study, 
+            national_id, 
+            birth_certificate, 
+            date_of_birth, 
+            password, 
+            photo_url,
+            email,
+            status,
+            course_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING id, name, registration_number, course, course_id, level_of_study, national_id, birth_certificate, date_of_birth, photo_url, email, status
+        `, insertValues);
+        
+        return { student };
+      });
       
-      if (existingStudents.length > 0) {
-        return c.json({ 
-          error: 'Student already exists', 
-          details: `A student with registration number '${studentData.registration_number}' already exists` 
-        }, 409);
-      }
-    } catch (checkError) {
-      console.error('Error checking for existing student:', checkError);
-      return c.json({ 
-        error: 'Database error during validation', 
-        details: checkError.message 
-      }, 500);
-    }    // Insert student into database
-    try {
-      const { rows } = await pool.query(`
-        INSERT INTO students (
-          name, 
-          registration_number, 
-          course, 
-          level_of_study, 
-          national_id, 
-          birth_certificate, 
-          date_of_birth, 
-          password, 
-          photo_url,
-          email,
-          status
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        RETURNING id, name, registration_number, course, level_of_study, national_id, birth_certificate, date_of_birth, photo_url, email, status
-      `, insertValues);
+      if (result.response) return result.response;
       
-      const newStudent = rows[0];
+      const newStudent = result.student;
       console.log('Student created successfully:', newStudent.id);
       
+      await recordAudit(c, { 
+        action: 'student.create', 
+        studentId: newStudent.id, 
+        after: newStudent, 
+        details: duplicateCheck.matches.length > 0 
+          ? { duplicate_override: true, possible_duplicates: duplicateCheck.matches.map(match => match.registration_number) } 
+          : null 
+      });
+      await recordStatusChange(c, { before: null, after: newStudent, reason: 'Student created' });
+      
       return c.json({
         message: 'Student created successfully',
         student: newStudent
       }, 201);
       
     } catch (insertError) {
+      if (photoError) {
+        return c.json({ 
+          error: 'Photo upload failed', 
+          details: photoError.message 
+        }, 500);
+      }
+      
       console.error('Error inserting student:', insertError);
       
       // Handle specific database errors
@@ -462,7 +671,7 @@ app.post('/students', async (c) => {
 });
 
 // Promote students endpoint
-app.post('/students/promote', async (c) => {
+app.post('/students/promote', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
     let body;
     try {
@@ -501,6 +710,7 @@ app.post('/students/promote', async (c) => {
     
     // Promote by registration number
     console.log('Promoting student by registration number:', registration_number);
+    const before = await getStudentSnapshot({ registrationNumber: registration_number });
     const { rows } = await pool.query(
       `UPDATE students SET 
         level_of_study=$1
@@ -515,6 +725,8 @@ app.post('/students/promote', async (c) => {
       }, 404);
     }
     
+    await recordAudit(c, { action: 'student.promote', studentId: rows[0].id, before, after: rows[0] });
+    
     return c.json({ 
       message: 'Student promoted successfully', 
       student: rows[0] 
@@ -528,1648 +740,4722 @@ app.post('/students/promote', async (c) => {
   }
 });
 
-// Get student by registration number
-app.get('/student/registration/:regNumber', async (c) => {
+// Promote a whole cohort (course + current level) at the end of the year.
+// Students on leave, deregistered, owing fees or with failed units are held back.
+// With dry_run nothing is written and the same report is returned as a preview.
+app.post('/students/promote/cohort', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Fetching student with registration number:', registration_number);
-    
-    const { rows } = await pool.query(
-      'SELECT * FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (rows.length === 0) {
-      return c.json({ error: 'Student not found' }, 404);
+    let body;
+    try {
+      body = await c.req.json();
+      console.log('Cohort promotion request received:', body);
+    } catch (jsonError) {
+      console.error('Error parsing JSON in cohort promotion request:', jsonError);
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
     }
-    
-    return c.json(rows[0]);
-  } catch (error) {
-    console.error('Error fetching student by registration number:', error);
-    return c.json({ error: 'Failed to fetch student', details: error.message }, 500);
-  }
-});
 
-// Grant academic leave to a student (accepts JSON body)
-app.post('/students/academic-leave', async (c) => {
-  try {
-    console.log('Academic leave request received');
-    const body = await c.req.json();
-    console.log('Request body:', body);
-    
-    // Support multiple parameter formats
-    const student_id = body.student_id || body.studentId || body.id;
-    const registration_number = body.registration_number || body.registrationNumber;
-    const start_date = body.start_date || body.startDate || body.from;
-    const end_date = body.end_date || body.endDate || body.to;
-    const reason = body.reason || body.academic_leave_reason || '';
-    
-    if (!student_id && !registration_number) {
-      return c.json({ 
-        error: 'Missing required field', 
-        details: 'Student ID or registration number is required' 
+    const { current_level, new_level } = body;
+    const dryRun = body.dry_run === true || body.dry_run === 'true';
+
+    if (!body.course || !current_level || !new_level) {
+      return c.json({
+        error: 'Missing required fields',
+        details: 'Please provide "course", "current_level" and "new_level".'
       }, 400);
     }
-    
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
-    
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
-    
-    console.log('Processing academic leave with:', { 
-      student_id, 
-      registration_number, 
-      formattedStartDate, 
-      formattedEndDate,
-      reason 
-    });
-    
-    let query, params;
-    
-    if (student_id) {
-      query = `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave'
-      WHERE id=$4 RETURNING *`;
-      params = [formattedStartDate, formattedEndDate, reason, student_id];
+
+    // Students keep the course name they were entered with and are linked to the
+    // catalogue by course_id, so match either
+    const catalogueCourse = await findCourse(body.course);
+    const course = catalogueCourse ? catalogueCourse.code : body.course;
+    const cohortFilter = { course: catalogueCourse ? catalogueCourse.name : body.course, courseId: catalogueCourse?.id ?? null };
+
+    if (String(current_level) === String(new_level)) {
+      return c.json({
+        error: 'Invalid promotion',
+        details: '"new_level" must differ from "current_level".'
+      }, 400);
+    }
+
+    const rules = {};
+    for (const [field, option] of [['max_fee_balance', 'maxFeeBalance'], ['pass_mark', 'passMark']]) {
+      if (body[field] === undefined || body[field] === null) continue;
+
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return c.json({
+          error: 'Invalid promotion rule',
+          details: `"${field}" must be a non-negative number.`
+        }, 400);
+      }
+      rules[option] = value;
+    }
+
+    const cohort = { course, current_level, new_level };
+    let eligible;
+    let heldBack;
+    let promoted = [];
+
+    if (dryRun) {
+      ({ eligible, heldBack } = await evaluateCohort({ ...cohortFilter, currentLevel: current_level, ...rules }));
     } else {
-      query = `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave'
-      WHERE registration_number=$4 RETURNING *`;
-      params = [formattedStartDate, formattedEndDate, reason, registration_number];
+      // Evaluate and promote in one transaction so the cohort cannot change in between
+      await sql.begin(async sql => {
+        ({ eligible, heldBack } = await evaluateCohort({ ...cohortFilter, currentLevel: current_level, ...rules, sql, lock: true }));
+
+        if (eligible.length > 0) {
+          promoted = await sql`
+            UPDATE students SET level_of_study = ${new_level}
+            WHERE id = ANY(${eligible.map(student => student.id)})
+            RETURNING *
+          `;
+        }
+      });
+
+      for (const student of promoted) {
+        await recordAudit(c, {
+          action: 'student.promote',
+          studentId: student.id,
+          before: { level_of_study: current_level },
+          after: student,
+          details: { cohort }
+        });
+      }
     }
-    
-    const { rows } = await pool.query(query, params);
-    
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Academic leave granted successfully', 
-      student: rows[0] 
+
+    if (eligible.length === 0 && heldBack.length === 0) {
+      return c.json({
+        error: 'Cohort not found',
+        details: `No students found in ${course} at level ${current_level}`
+      }, 404);
+    }
+
+    console.log(`Cohort promotion ${course} ${current_level} -> ${new_level}${dryRun ? ' (dry run)' : ''}: ${eligible.length} eligible, ${heldBack.length} held back`);
+
+    return c.json({
+      message: dryRun ? 'Dry run: no students were promoted' : `${promoted.length} students promoted`,
+      dry_run: dryRun,
+      cohort,
+      summary: {
+        total: eligible.length + heldBack.length,
+        promoted: eligible.length,
+        held_back: heldBack.length
+      },
+      promoted: eligible,
+      held_back: heldBack
     });
   } catch (error) {
-    console.error('Error granting academic leave:', error);
-    return c.json({ 
-      error: 'Failed to grant academic leave', 
-      details: error.message 
+    console.error('Error promoting cohort:', error);
+    return c.json({
+      error: 'Failed to promote cohort',
+      details: error.message
     }, 500);
   }
 });
 
-// Grant academic leave to a student (simpler URL path version)
-app.post('/students/:id/academic-leave', async (c) => {
+// Update a student's profile fields. `fields` lists what the caller may change;
+// with `replace` (PUT) the required fields must all be present.
+async function updateStudentProfile(c, { fields, replace = false, action }) {
   try {
     const student_id = c.req.param('id');
-    console.log('Academic leave request received for student:', student_id);
     
-    // Get dates and reason from body if provided
-    let start_date, end_date, reason = '';
+    let body;
     try {
-      const body = await c.req.json();
-      start_date = body.start_date || body.startDate || body.from;
-      end_date = body.end_date || body.endDate || body.to;
-      reason = body.reason || body.academic_leave_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use defaults
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validateStudentUpdate(body, fields);
+    
+    if (replace) {
+      for (const field of ['name', 'course', 'level_of_study']) {
+        if (!(field in body)) errors[field] = `${field} is required`;
+      }
+    }
+    
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    if (Object.keys(values).length === 0) {
+      return c.json({ 
+        error: 'No fields to update', 
+        details: `Updatable fields: ${fields.join(', ')}` 
+      }, 400);
     }
     
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
+    const before = await getStudentSnapshot({ id: student_id });
+    if (!before) return c.json({ error: 'Student not found' }, 404);
+    
+    if (values.course) {
+      const { course, error } = await resolveCourse(values.course);
+      if (error) {
+        return c.json({ error: 'Validation failed', details: { course: error } }, 400);
+      }
+      values.course = course.name;
+      values.course_id = course.id;
+    }
     
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
+    for (const [field, label] of [['national_id', 'National ID'], ['birth_certificate', 'Birth certificate number']]) {
+      if (!values[field]) continue;
+      
+      const { rows: duplicates } = await pool.query(
+        `SELECT registration_number FROM students WHERE ${field} = $1 AND id <> $2`,
+        [values[field], student_id]
+      );
+      
+      if (duplicates.length > 0) {
+        return c.json({ 
+          error: `${label} already in use`, 
+          details: { [field]: `Already registered to student ${duplicates[0].registration_number}` } 
+        }, 409);
+      }
+    }
     
+    const columns = Object.keys(values);
+    const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
     const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave' 
-      WHERE id=$4 RETURNING *`,
-      [formattedStartDate, formattedEndDate, reason, student_id]
+      `UPDATE students SET ${assignments.join(', ')} 
+       WHERE id = $${columns.length + 1} 
+       RETURNING ${STUDENT_COLUMNS}, 
+         (password IS NOT DISTINCT FROM national_id OR password IS NOT DISTINCT FROM birth_certificate) AS on_default_password`,
+      [...columns.map(column => values[column]), student_id]
     );
     
     if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    // A student still on a default password gets the corrected ID as their new
+    // default (update_student_password trigger); chosen passwords are kept
+    const { on_default_password, ...student } = rows[0];
+    const idChanged = ['national_id', 'birth_certificate'].some(field => field in values && values[field] !== before[field]);
+    const defaultPasswordReset = idChanged && on_default_password && student.must_change_password;
+    
+    await recordAudit(c, { 
+      action, 
+      studentId: student_id, 
+      before, 
+      after: student, 
+      details: { fields: columns, ...(defaultPasswordReset ? { default_password_reset: true } : {}) } 
+    });
+    
     return c.json({ 
-      message: 'Academic leave granted successfully', 
-      student: rows[0] 
+      message: defaultPasswordReset 
+        ? 'Student updated successfully. The default password is now the new ID number and must be changed at next login.' 
+        : 'Student updated successfully', 
+      updated_fields: columns,
+      default_password_reset: defaultPasswordReset,
+      student 
     });
   } catch (error) {
-    console.error('Error granting academic leave:', error);
+    console.error('Error updating student:', error);
     return c.json({ 
-      error: 'Failed to grant academic leave', 
+      error: 'Failed to update student', 
       details: error.message 
     }, 500);
   }
-});
+}
 
-// Grant academic leave by registration number
-app.post('/students/registration/:regNumber/academic-leave', async (c) => {
+// Bulk create students from a CSV file (multipart field "file", or a text/csv body).
+// With dry_run=true nothing is written and every row is reported as valid,
+// invalid or duplicate; otherwise all valid rows are inserted in one transaction.
+app.post('/students/import', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Academic leave request received for registration number:', registration_number);
+    const contentType = c.req.header('content-type') || '';
+    const isTruthy = value => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+    let dryRun = isTruthy(c.req.query('dry_run'));
+    let allowDuplicates = isTruthy(c.req.query('allow_duplicates'));
+    let csvText;
     
-    // Get dates and reason from body if provided
-    let start_date, end_date, reason = '';
-    try {
-      const body = await c.req.json();
-      start_date = body.start_date || body.startDate || body.from;
-      end_date = body.end_date || body.endDate || body.to;
-      reason = body.reason || body.academic_leave_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use defaults
+    if (contentType.includes('multipart/form-data')) {
+      const formData = await c.req.formData();
+      const file = formData.get('file');
+      
+      if (!file || !(file instanceof File)) {
+        return c.json({ 
+          error: 'File is required', 
+          details: 'Upload the CSV file in the "file" field' 
+        }, 400);
+      }
+      
+      if (file.size > 5 * 1024 * 1024) {
+        return c.json({ 
+          error: 'File too large', 
+          details: 'The CSV file must be less than 5MB' 
+        }, 400);
+      }
+      
+      csvText = await file.text();
+      if (formData.get('dry_run') !== null) dryRun = isTruthy(formData.get('dry_run'));
+      if (formData.get('allow_duplicates') !== null) allowDuplicates = isTruthy(formData.get('allow_duplicates'));
+    } else if (contentType.includes('text/csv') || contentType.includes('text/plain')) {
+      csvText = await c.req.text();
+    } else {
+      return c.json({
+        error: 'Invalid content type',
+        details: 'Send the CSV as multipart/form-data (field "file") or with Content-Type: text/csv'
+      }, 400);
     }
     
-    // Default dates if not provided
-    const now = new Date();
-    const defaultEndDate = new Date();
-    defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
+    const parsed = parseStudentCsv(csvText);
+    if (parsed.error) {
+      return c.json({ error: 'Invalid CSV file', details: parsed.error }, 400);
+    }
     
-    // Format dates properly
-    const formattedStartDate = start_date ? new Date(start_date).toISOString().split('T')[0] : now.toISOString().split('T')[0];
-    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
+    const results = parsed.rows.map(({ line, data }) => ({ line, ...validateImportRow(data) }));
     
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=true, 
-        academic_leave_start=$1, 
-        academic_leave_end=$2,
-        academic_leave_reason=$3,
-        status='on_leave' 
-      WHERE registration_number=$4 RETURNING *`,
-      [formattedStartDate, formattedEndDate, reason, registration_number]
+    // Courses must be in the catalogue; rows are stored with the course code
+    const resolvedCourses = await resolveCourses(results.map(row => row.values.course));
+    for (const row of results) {
+      if (!row.values.course || row.errors.course) continue;
+      
+      const { course, error } = resolvedCourses.get(row.values.course);
+      if (error) {
+        row.errors.course = error;
+      } else {
+        row.values.course = course.name;
+        row.values.course_code = course.code;
+        row.values.course_id = course.id;
+      }
+    }
+    
+    // Duplicates within the file and against existing students. Registration numbers
+    // must be unique; other matches (IDs, email, name and date of birth) are possible
+    // duplicates that allow_duplicates=true imports anyway.
+    const { rows: existingRows } = await pool.query(
+      'SELECT registration_number FROM students WHERE registration_number = ANY($1)',
+      [results.map(row => row.values.registration_number).filter(Boolean)]
+    );
+    const existingRegNumbers = new Set(existingRows.map(row => row.registration_number));
+    const seenRegNumbers = new Map();
+    const candidates = await findDuplicateCandidates(results.map(row => row.values));
+    
+    // Earlier rows by national ID, birth certificate, email and date of birth,
+    // so each row is only compared with rows that can match it
+    const earlierRows = new Map();
+    const rowKeys = ({ national_id, birth_certificate, email, date_of_birth }) => [
+      national_id && `national_id:${national_id.toLowerCase()}`,
+      birth_certificate && `birth_certificate:${birth_certificate.toLowerCase()}`,
+      email && `email:${email.toLowerCase()}`,
+      date_of_birth && `date_of_birth:${date_of_birth}`
+    ].filter(Boolean);
+    
+    results.forEach((row, index) => {
+      const { registration_number } = row.values;
+      
+      if (existingRegNumbers.has(registration_number)) {
+        row.duplicate = `Registration number ${registration_number} already exists`;
+      } else if (seenRegNumbers.has(registration_number)) {
+        row.duplicate = `Same registration number as line ${seenRegNumbers.get(registration_number)}`;
+      } else {
+        const sameFile = [...new Set(rowKeys(row.values).flatMap(key => earlierRows.get(key) || []))]
+          .map(other => ({ other, matchedOn: matchStudent(row.values, other.values) }))
+          .filter(({ matchedOn }) => matchedOn.length > 0)
+          .map(({ other, matchedOn }) => `Possible duplicate of line ${other.line} (matched on ${matchedOn.join(', ')})`);
+        
+        row.possibleDuplicates = [...candidates[index].map(describeMatch), ...sameFile];
+        if (row.possibleDuplicates.length > 0 && !allowDuplicates) {
+          row.duplicate = row.possibleDuplicates[0];
+        }
+      }
+      
+      if (registration_number && !seenRegNumbers.has(registration_number)) seenRegNumbers.set(registration_number, row.line);
+      for (const key of rowKeys(row.values)) {
+        if (!earlierRows.has(key)) earlierRows.set(key, []);
+        earlierRows.get(key).push(row);
+      }
+    });
+    
+    // Rows without a registration number need a pattern for their course
+    const toGenerate = results.filter(row => !row.values.registration_number && Object.keys(row.errors).length === 0 && !row.duplicate);
+    const { rows: patternRows } = await pool.query(
+      'SELECT course FROM registration_number_patterns WHERE course = ANY($1)',
+      [[...new Set(toGenerate.map(row => row.values.course_code))]]
     );
+    const coursesWithPattern = new Set(patternRows.map(row => row.course));
+    for (const row of toGenerate) {
+      if (coursesWithPattern.has(row.values.course_code)) {
+        row.generated = true;
+      } else {
+        row.errors.registration_number = `registration_number is required: no pattern is configured for course ${row.values.course_code}`;
+      }
+    }
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Academic leave granted successfully', 
-      student: rows[0] 
+    const rowStatus = row => {
+      if (Object.keys(row.errors).length > 0) return 'invalid';
+      if (row.duplicate) return 'duplicate';
+      return 'valid';
+    };
+    
+    const report = () => results.map(row => ({
+      line: row.line,
+      registration_number: row.values.registration_number || null,
+      status: row.status || rowStatus(row),
+      ...(row.generated ? { generated_registration_number: true } : {}),
+      ...(Object.keys(row.errors).length > 0 ? { errors: row.errors } : {}),
+      ...(row.duplicate ? { duplicate: row.duplicate } : {}),
+      ...(!row.duplicate && row.possibleDuplicates?.length > 0 ? { possible_duplicates: row.possibleDuplicates } : {})
+    }));
+    
+    const summarize = () => {
+      const rows = report();
+      return {
+        total_rows: rows.length,
+        valid: rows.filter(row => row.status === 'valid' || row.status === 'created').length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length
+      };
+    };
+    
+    if (dryRun) {
+      // Preview the numbers that would be generated, per course and intake
+      const groups = new Map();
+      for (const row of results.filter(row => row.generated)) {
+        const key = JSON.stringify([row.values.course_code, row.values.intake_year]);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      for (const rows of groups.values()) {
+        const { course_code, intake_year } = rows[0].values;
+        const preview = await previewRegistrationNumbers(course_code, { intakeYear: intake_year, count: rows.length });
+        rows.forEach((row, index) => {
+          row.values.registration_number = preview.registrationNumbers?.[index];
+        });
+      }
+      
+      return c.json({
+        dry_run: true,
+        summary: summarize(),
+        ignored_columns: parsed.ignoredColumns,
+        rows: report()
+      });
+    }
+    
+    const validRows = results.filter(row => rowStatus(row) === 'valid');
+    
+    // Hash passwords before opening the transaction. Rows without one get the
+    // national ID (or birth certificate number) as a default password, hashed
+    // here rather than stored in plain text by the insert trigger.
+    for (const row of validRows) {
+      const defaultPassword = row.values.national_id || row.values.birth_certificate;
+      if (row.values.password) {
+        row.values.password = await bcrypt.hash(row.values.password, 10);
+        row.values.must_change_password = false;
+      } else if (defaultPassword) {
+        row.values.password = await bcrypt.hash(defaultPassword, 10);
+        row.values.must_change_password = true;
+      }
+    }
+    
+    // Numbers given in the file are never handed out by the generator
+    const reserved = new Set(validRows.map(row => row.values.registration_number).filter(Boolean));
+    
+    const created = [];
+    await sql.begin(async sql => {
+      for (const row of validRows) {
+        const v = row.values;
+        
+        if (row.generated) {
+          const generated = await generateRegistrationNumber(v.course_code, { intakeYear: v.intake_year, sql, reserved });
+          if (generated.error) {
+            row.errors.registration_number = generated.error;
+            row.status = 'invalid';
+            continue;
+          }
+          v.registration_number = generated.registrationNumber;
+        }
+        
+        const inserted = await sql`
+          INSERT INTO students (
+            registration_number, name, course, course_id, level_of_study, national_id, 
+            birth_certificate, date_of_birth, email, phone, password, must_change_password, status
+          ) VALUES (
+            ${v.registration_number}, ${v.name}, ${v.course}, ${v.course_id}, ${v.level_of_study}, ${v.national_id || null},
+            ${v.birth_certificate || null}, ${v.date_of_birth || null}, ${v.email || null}, ${v.phone || null},
+            ${v.password || null}, ${v.must_change_password === true}, 'active'
+          )
+          ON CONFLICT (registration_number) DO NOTHING
+          RETURNING ${sql.unsafe(STUDENT_COLUMNS)}
+        `;
+        
+        if (inserted.length === 0) {
+          // Created by someone else since the duplicate check
+          row.duplicate = `Registration number ${v.registration_number} already exists`;
+          row.status = 'duplicate';
+        } else {
+          row.status = 'created';
+          created.push(inserted[0]);
+        }
+      }
+    });
+    
+    for (const student of created) {
+      await recordStatusChange(c, { before: null, after: student, reason: 'Student created (CSV import)' });
+    }
+    
+    const summary = { ...summarize(), created: created.length };
+    await recordAudit(c, {
+      action: 'student.import',
+      details: { ...summary, registration_numbers: created.map(student => student.registration_number) }
     });
+    
+    console.log(`CSV import created ${created.length} of ${results.length} students`);
+    
+    return c.json({
+      dry_run: false,
+      message: `${created.length} students imported successfully`,
+      summary,
+      ignored_columns: parsed.ignoredColumns,
+      created: created.map(({ id, registration_number, name }) => ({ id, registration_number, name })),
+      rows: report()
+    }, created.length > 0 ? 201 : 200);
   } catch (error) {
-    console.error('Error granting academic leave:', error);
+    console.error('Error importing students:', error);
     return c.json({ 
-      error: 'Failed to grant academic leave', 
+      error: 'Failed to import students', 
       details: error.message 
     }, 500);
   }
 });
 
-// Deregister a student by registration number (with slash support)
-app.post('/students/registration/:course/:number/:year/deregister', async (c) => {
+// Registration number patterns per course, with the last number issued per intake
+app.get('/registration-number-patterns', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const course = c.req.param('course');
-    const number = c.req.param('number');
-    const year = c.req.param('year');
-    const registration_number = `${course}/${number}/${year}`;
-    console.log('Deregistering student with registration number:', registration_number);
+    const { rows } = await pool.query(
+      `SELECT p.*, 
+              COALESCE((SELECT json_agg(json_build_object('intake_year', s.intake_year, 'last_value', s.last_value) ORDER BY s.intake_year)
+                        FROM registration_number_sequences s WHERE s.course = p.course), '[]') AS sequences
+       FROM registration_number_patterns p
+       ORDER BY p.course`
+    );
     
-    // Also keep the original route for backward compatibility
-    return await deregisterStudentByRegNumber(c, registration_number);
+    return c.json({ patterns: rows, count: rows.length });
   } catch (error) {
-    console.error('Error deregistering student:', error);
+    console.error('Error fetching registration number patterns:', error);
     return c.json({ 
-      error: 'Failed to deregister student', 
+      error: 'Failed to fetch registration number patterns', 
       details: error.message 
     }, 500);
   }
 });
 
-// Original deregister route for registration numbers without slashes
-app.post('/students/registration/:regNumber/deregister', async (c) => {
+// Create or change the pattern of a course. Numbers already issued are kept;
+// the sequence continues from the last value of each intake.
+app.put('/registration-number-patterns/:course', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
-    console.log('Deregistering student with registration number:', registration_number);
+    const catalogueCourse = await findCourse(c.req.param('course'));
+    if (!catalogueCourse) {
+      return c.json({ 
+        error: 'Course not found', 
+        details: `No course "${c.req.param('course')}" in the course catalogue` 
+      }, 404);
+    }
+    const course = catalogueCourse.code;
     
-    return await deregisterStudentByRegNumber(c, registration_number);
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validatePattern(body);
+    if (errors.length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    const { rows: beforeRows } = await pool.query(
+      'SELECT * FROM registration_number_patterns WHERE course = $1',
+      [course]
+    );
+    
+    const { rows } = await pool.query(
+      `INSERT INTO registration_number_patterns (course, prefix, sequence_digits, format)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (course) DO UPDATE SET 
+         prefix = EXCLUDED.prefix, sequence_digits = EXCLUDED.sequence_digits, format = EXCLUDED.format
+       RETURNING *`,
+      [course, values.prefix, values.sequence_digits, values.format]
+    );
+    
+    await recordAudit(c, {
+      action: 'registration_pattern.update',
+      before: beforeRows[0] || null,
+      after: rows[0],
+      details: { course }
+    });
+    
+    const preview = await previewRegistrationNumbers(course, { intakeYear: parseIntakeYear() });
+    
+    return c.json({
+      message: beforeRows.length > 0 ? 'Registration number pattern updated' : 'Registration number pattern created',
+      pattern: rows[0],
+      next_registration_number: preview.registrationNumbers[0]
+    }, beforeRows.length > 0 ? 200 : 201);
   } catch (error) {
-    console.error('Error deregistering student:', error);
+    console.error('Error saving registration number pattern:', error);
     return c.json({ 
-      error: 'Failed to deregister student', 
+      error: 'Failed to save registration number pattern', 
       details: error.message 
     }, 500);
   }
 });
 
-// Helper function to deregister student by registration number
-async function deregisterStudentByRegNumber(c, registration_number) {    
-    // Get reason from body if provided
-    let reason = '';
-    try {
-      const body = await c.req.json();
-      reason = body.reason || body.deregistration_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use default empty reason
-    }
-    
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+// Remove a course's pattern; registration numbers must then be entered manually
+app.delete('/registration-number-patterns/:course', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const course = await courseCode(c.req.param('course'));
     
     const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=true, 
-        deregistration_date=$1, 
-        deregistration_reason=$2,
-        status='deregistered' 
-      WHERE registration_number=$3 RETURNING *`,
-      [today, reason, registration_number]
+      'DELETE FROM registration_number_patterns WHERE course = $1 RETURNING *',
+      [course]
     );
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    if (rows.length === 0) return c.json({ error: 'Pattern not found' }, 404);
+    
+    await recordAudit(c, { action: 'registration_pattern.delete', before: rows[0], details: { course } });
+    
+    return c.json({ message: 'Registration number pattern deleted', pattern: rows[0] });
+  } catch (error) {
+    console.error('Error deleting registration number pattern:', error);
     return c.json({ 
-      message: 'Student deregistered successfully', 
-      student: rows[0] 
-    });
-}
+      error: 'Failed to delete registration number pattern', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-// Bulk deregister students
-app.post('/students/deregister', async (c) => {
+// Preview the next registration number of a course without issuing it
+app.get('/registration-number-patterns/:course/next', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const body = await c.req.json();
-    console.log('Bulk deregistration request received');
+    const course = await courseCode(c.req.param('course'));
+    const intakeYear = parseIntakeYear(c.req.query('intake_year'));
     
-    if (!body.student_ids && !body.registration_numbers) {
+    if (intakeYear === null) {
       return c.json({ 
-        error: 'Missing required field', 
-        details: 'Student IDs or registration numbers are required' 
+        error: 'Invalid intake year', 
+        details: 'intake_year must be a year between 2000 and 2100' 
       }, 400);
     }
     
-    const reason = body.reason || body.deregistration_reason || '';
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-    
-    let results = [];
-    
-    if (body.student_ids && body.student_ids.length > 0) {
-      const { rows } = await pool.query(
-        `UPDATE students SET 
-          deregistered=true, 
-          deregistration_date=$1, 
-          deregistration_reason=$2,
-          status='deregistered' 
-        WHERE id = ANY($3) RETURNING *`,
-        [today, reason, body.student_ids]
-      );
-      results = results.concat(rows);
-    }
-    
-    if (body.registration_numbers && body.registration_numbers.length > 0) {
-      const { rows } = await pool.query(
-        `UPDATE students SET 
-          deregistered=true, 
-          deregistration_date=$1, 
-          deregistration_reason=$2,
-          status='deregistered' 
-        WHERE registration_number = ANY($3) RETURNING *`,
-        [today, reason, body.registration_numbers]
-      );
-      results = results.concat(rows);
-    }
+    const preview = await previewRegistrationNumbers(course, { intakeYear });
+    if (preview.error) return c.json({ error: 'Pattern not found', details: preview.error }, 404);
     
-    return c.json({ 
-      message: `${results.length} students deregistered successfully`, 
-      students: results 
+    return c.json({
+      course,
+      intake_year: intakeYear,
+      next_registration_number: preview.registrationNumbers[0]
     });
   } catch (error) {
-    console.error('Error deregistering students:', error);
+    console.error('Error previewing registration number:', error);
     return c.json({ 
-      error: 'Failed to deregister students', 
+      error: 'Failed to preview registration number', 
       details: error.message 
     }, 500);
   }
 });
 
-// Deregister a student by ID
-app.post('/students/:id/deregister', async (c) => {
+// Update a student's details (admin). PUT requires name, course and level_of_study;
+// PATCH changes only the fields sent.
+app.put('/students/:id', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  return await updateStudentProfile(c, { fields: ADMIN_EDITABLE_FIELDS, replace: true, action: 'student.update' });
+});
+
+app.patch('/students/:id', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  return await updateStudentProfile(c, { fields: ADMIN_EDITABLE_FIELDS, action: 'student.update' });
+});
+
+// Students update their own contact details (email, phone)
+app.patch('/students/:id/profile', requireStudentOrAdmin(), async (c) => {
+  return await updateStudentProfile(c, { fields: SELF_SERVICE_FIELDS, action: 'student.profile.update' });
+});
+
+// Get a student by id, with their guardian, sponsor and emergency contacts
+app.get('/students/:id', requireStudentOrAdmin(), async (c) => {
   try {
     const student_id = c.req.param('id');
-    console.log('Deregistering student:', student_id);
-    
-    // Get reason from body if provided
-    let reason = '';
-    try {
-      const body = await c.req.json();
-      reason = body.reason || body.deregistration_reason || '';
-    } catch (e) {
-      // If no body or invalid JSON, use default empty reason
-    }
-    
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
     
     const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=true, 
-        deregistration_date=$1, 
-        deregistration_reason=$2,
-        status='deregistered' 
-      WHERE id=$3 RETURNING *`,
-      [today, reason, student_id]
+      `SELECT ${STUDENT_COLUMNS} FROM students WHERE id = $1`,
+      [student_id]
     );
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Student deregistered successfully', 
-      student: rows[0] 
-    });
+    if (rows.length === 0) {
+      return c.json({ error: 'Student not found' }, 404);
+    }
+    
+    return c.json({ ...rows[0], contacts: await getStudentContacts(student_id) });
   } catch (error) {
-    console.error('Error deregistering student:', error);
-    return c.json({ 
-      error: 'Failed to deregister student', 
-      details: error.message 
-    }, 500);
+    console.error('Error fetching student:', error);
+    return c.json({ error: 'Failed to fetch student', details: error.message }, 500);
   }
 });
 
-// Restore a deregistered student
-app.post('/students/:id/restore', async (c) => {
+// Everything the student portal home page needs in one call: profile, fee summary,
+// pending allocations, registered units, latest documents and exam card eligibility.
+// A section that fails to load is null and listed in `errors`; the rest are returned.
+app.get('/students/:id/dashboard', requireStudentOrAdmin(), async (c) => {
   try {
     const student_id = c.req.param('id');
-    console.log('Restoring deregistered student:', student_id);
     
     const { rows } = await pool.query(
-      `UPDATE students SET 
-        deregistered=false, 
-        deregistration_date=NULL, 
-        deregistration_reason=NULL,
-        status='active' 
-      WHERE id=$1 RETURNING *`,
+      `SELECT ${STUDENT_COLUMNS} FROM students WHERE id = $1`,
       [student_id]
     );
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
-    return c.json({ 
-      message: 'Student restored successfully', 
-      student: rows[0] 
+    if (rows.length === 0) {
+      return c.json({ error: 'Student not found' }, 404);
+    }
+    
+    const profile = rows[0];
+    const { sections, errors } = await loadDashboardSections(profile);
+    
+    return c.json({
+      profile,
+      status: profile.status,
+      ...sections,
+      partial: Object.keys(errors).length > 0,
+      errors
     });
   } catch (error) {
-    console.error('Error restoring student:', error);
+    console.error('Error loading student dashboard:', error);
     return c.json({ 
-      error: 'Failed to restore student', 
+      error: 'Failed to load dashboard', 
       details: error.message 
     }, 500);
   }
 });
 
-// Cancel academic leave for a student
-app.delete('/students/:id/academic-leave', async (c) => {
+// Guardian, sponsor and emergency contacts of a student
+app.get('/students/:id/contacts', requireStudentOrAdmin(), async (c) => {
   try {
-    const student_id = c.req.param('id');
-    console.log('Canceling academic leave for student:', student_id);
+    const contacts = await getStudentContacts(c.req.param('id'));
+    return c.json({ contacts, count: contacts.length });
+  } catch (error) {
+    console.error('Error fetching student contacts:', error);
+    return c.json({ 
+      error: 'Failed to fetch contacts', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Save a contact (insert, or update when contactId is given) in a transaction.
+// Marking a contact primary unmarks the student's other contacts of the same type.
+// Returns { before, contact }, or null if the contact to update does not exist.
+async function saveStudentContact(studentId, values, contactId = null) {
+  return await sql.begin(async sql => {
+    let before = null;
+    if (contactId) {
+      [before] = await sql`
+        SELECT * FROM student_contacts 
+        WHERE id = ${contactId} AND student_id = ${studentId} 
+        FOR UPDATE
+      `;
+      if (!before) return null;
+    }
     
-    const { rows } = await pool.query(
-      `UPDATE students SET 
-        academic_leave=false, 
-        academic_leave_start=NULL, 
-        academic_leave_end=NULL,
-        academic_leave_reason=NULL,
-        status='active' 
-      WHERE id=$1 RETURNING *`,
-      [student_id]
-    );
+    const contactType = values.contact_type || before?.contact_type;
+    if (values.is_primary ?? before?.is_primary) {
+      await sql`
+        UPDATE student_contacts SET is_primary = false 
+        WHERE student_id = ${studentId} AND contact_type = ${contactType} 
+          AND is_primary AND id IS DISTINCT FROM ${contactId}
+      `;
+    }
     
-    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    const [contact] = contactId
+      ? await sql`UPDATE student_contacts SET ${sql(values)} WHERE id = ${contactId} RETURNING *`
+      : await sql`INSERT INTO student_contacts ${sql({ ...values, student_id: studentId })} RETURNING *`;
+    
+    return { before, contact };
+  });
+}
+
+// Add a contact (admin). contact_type, name and phone are required.
+app.post('/students/:id/contacts', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validateContact(body);
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    const { rows: students } = await pool.query('SELECT id FROM students WHERE id = $1', [student_id]);
+    if (students.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    const { contact } = await saveStudentContact(student_id, values);
+    
+    await recordAudit(c, { action: 'student.contact.create', studentId: student_id, after: contact });
+    console.log(`Added ${contact.contact_type} contact ${contact.id} for student ${student_id}`);
+    
+    return c.json({ message: 'Contact added successfully', contact }, 201);
+  } catch (error) {
+    console.error('Error adding student contact:', error);
+    if (error.code === '23505') {
+      return c.json({ 
+        error: 'Primary contact conflict', 
+        details: 'Another primary contact of this type was saved at the same time; please retry' 
+      }, 409);
+    }
     return c.json({ 
-      message: 'Academic leave canceled successfully', 
-      student: rows[0] 
+      error: 'Failed to add contact', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Update a contact (admin); only the fields sent are changed
+app.patch('/students/:id/contacts/:contactId', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    const contact_id = c.req.param('contactId');
+    
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validateContact(body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    if (Object.keys(values).length === 0) {
+      return c.json({ 
+        error: 'No fields to update', 
+        details: `Updatable fields: ${CONTACT_FIELDS.join(', ')}` 
+      }, 400);
+    }
+    
+    const saved = await saveStudentContact(student_id, values, contact_id);
+    if (!saved) return c.json({ error: 'Contact not found' }, 404);
+    const { before, contact } = saved;
+    
+    await recordAudit(c, { 
+      action: 'student.contact.update', 
+      studentId: student_id, 
+      before, 
+      after: contact, 
+      details: { fields: Object.keys(values) } 
+    });
+    
+    return c.json({ 
+      message: 'Contact updated successfully', 
+      updated_fields: Object.keys(values),
+      contact 
     });
   } catch (error) {
-    console.error('Error canceling academic leave:', error);
+    console.error('Error updating student contact:', error);
+    if (error.code === '23505') {
+      return c.json({ 
+        error: 'Primary contact conflict', 
+        details: 'Another primary contact of this type was saved at the same time; please retry' 
+      }, 409);
+    }
     return c.json({ 
-      error: 'Failed to cancel academic leave', 
+      error: 'Failed to update contact', 
       details: error.message 
-    }, 500);  }
+    }, 500);
+  }
 });
 
-// Get registered units for a student
-app.get('/students/:id/registered-units', async (c) => {
+// Remove a contact (admin)
+app.delete('/students/:id/contacts/:contactId', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const studentId = c.req.param('id');
-    console.log('Fetching registered units for student:', studentId);
+    const student_id = c.req.param('id');
+    const contact_id = c.req.param('contactId');
     
     const { rows } = await pool.query(
-      'SELECT * FROM registered_units WHERE student_id = $1 ORDER BY unit_code',
-      [studentId]
+      'DELETE FROM student_contacts WHERE id = $1 AND student_id = $2 RETURNING *',
+      [contact_id, student_id]
     );
     
-    return c.json(rows);
+    if (rows.length === 0) return c.json({ error: 'Contact not found' }, 404);
+    
+    await recordAudit(c, { action: 'student.contact.delete', studentId: student_id, before: rows[0] });
+    
+    return c.json({ message: 'Contact removed successfully', contact: rows[0] });
   } catch (error) {
-    console.error('Error fetching registered units:', error);
+    console.error('Error removing student contact:', error);
     return c.json({ 
-      error: 'Failed to fetch registered units', 
+      error: 'Failed to remove contact', 
       details: error.message 
     }, 500);
   }
 });
 
-// Get fees information for a student
-app.get('/students/:id/fees', async (c) => {
+// Merge a duplicate record into this student (admin). The duplicate's fees,
+// finance records, documents, units, results and history move to this student
+// and the duplicate is deleted; its registration number stops working.
+app.post('/students/:id/merge', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const studentId = c.req.param('id');
-    console.log('Fetching fees for student:', studentId);
-    
-    const { rows } = await pool.query(
-      'SELECT fee_balance, total_paid, semester_fee FROM fees WHERE student_id = $1',
-      [studentId]
-    );
+    const student_id = c.req.param('id');
     
-    if (rows.length === 0) {
-      // Return default values if no fee record exists
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
       return c.json({
-        fee_balance: 0,
-        total_paid: 0,
-        semester_fee: 0,
-        session_progress: 0
-      });
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
     }
     
-    const fees = rows[0];
-    // Calculate session progress as percentage
-    const sessionProgress = fees.semester_fee > 0 
-      ? Math.round((fees.total_paid / fees.semester_fee) * 100) 
-      : 0;
+    const duplicate_id = body.duplicate_id || body.duplicateId;
+    if (!duplicate_id) {
+      return c.json({ 
+        error: 'Missing required field', 
+        details: 'duplicate_id (the record to merge into this student) is required' 
+      }, 400);
+    }
+    
+    if (duplicate_id === student_id) {
+      return c.json({ 
+        error: 'Invalid merge', 
+        details: 'A student cannot be merged into itself' 
+      }, 400);
+    }
+    
+    const result = await mergeStudents({ survivorId: student_id, duplicateId: duplicate_id });
+    if (result.error) return c.json({ error: result.error }, result.status);
+    
+    const { survivorBefore, survivor, duplicate, moved, filledFields } = result;
+    console.log(`Merged student ${duplicate.registration_number} into ${survivor.registration_number}:`, moved);
+    
+    await recordAudit(c, {
+      action: 'student.merge',
+      studentId: survivor.id,
+      before: survivorBefore,
+      after: survivor,
+      details: { duplicate_id: duplicate.id, duplicate_registration_number: duplicate.registration_number, moved, filled_fields: filledFields }
+    });
+    await recordAudit(c, {
+      action: 'student.merge',
+      studentId: duplicate.id,
+      before: duplicate,
+      details: { merged_into: survivor.id, merged_into_registration_number: survivor.registration_number }
+    });
     
+    const { password, ...student } = survivor;
     return c.json({
-      ...fees,
-      session_progress: sessionProgress
+      message: `Student ${duplicate.registration_number} merged into ${survivor.registration_number}`,
+      student,
+      merged_registration_number: duplicate.registration_number,
+      moved,
+      filled_fields: filledFields
     });
   } catch (error) {
-    console.error('Error fetching fees:', error);
+    console.error('Error merging students:', error);
     return c.json({ 
-      error: 'Failed to fetch fees', 
+      error: 'Failed to merge students', 
       details: error.message 
     }, 500);
   }
 });
 
-// =============================================================================
-// NEW UNIFIED DOCUMENT UPLOAD SYSTEM
-// =============================================================================
-
-// Serve uploaded files from local storage
-app.use('/uploads/*', serveStatic({ root: './uploads' }));
+// Get student by registration number
+app.on('GET', regNumberPaths('/student/registration'), requireStudentOrAdmin(), resolveRegistrationNumber(), async (c) => {
+  try {
+    const registration_number = c.get('registrationNumber');
+    console.log('Fetching student with registration number:', registration_number);
+    
+    const { rows } = await pool.query(
+      `SELECT ${STUDENT_COLUMNS} FROM students WHERE registration_number = $1`,
+      [registration_number]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({ error: 'Student not found' }, 404);
+    }
+    
+    return c.json({ ...rows[0], contacts: await getStudentContacts(rows[0].id) });
+  } catch (error) {
+    console.error('Error fetching student by registration number:', error);
+    return c.json({ error: 'Failed to fetch student', details: error.message }, 500);
+  }
+});
 
-// Validation middleware for file upload
-const fileUploadValidator = validator('form', (value, c) => {
-  const registrationNumber = value['registrationNumber']
-  const file = value['file']
+// Put a student on academic leave (by id or registration number). Dates default
+// to today and three months from now. Pass a transaction's `sql` to make the
+// change part of it. Returns { before, student } (student without the password),
+// or null if the student does not exist.
+async function applyAcademicLeave(sql, { studentId, registrationNumber, startDate, endDate, reason = '' }) {
+  // Default dates if not provided
+  const now = new Date();
+  const defaultEndDate = new Date();
+  defaultEndDate.setMonth(defaultEndDate.getMonth() + 3); // Default 3 months
+  
+  // Format dates properly
+  const formattedStartDate = startDate ? new Date(startDate).toISOString().split('T')[0] : now.toISOString().split('T')[0];
+  const formattedEndDate = endDate ? new Date(endDate).toISOString().split('T')[0] : defaultEndDate.toISOString().split('T')[0];
+  
+  console.log('Processing academic leave with:', { 
+    studentId, 
+    registrationNumber, 
+    formattedStartDate, 
+    formattedEndDate,
+    reason 
+  });
+  
+  const [before] = await sql`
+    SELECT * FROM students 
+    WHERE ${studentId ? sql`id = ${studentId}` : sql`registration_number = ${registrationNumber}`} 
+    FOR UPDATE
+  `;
+  if (!before) return null;
+  
+  const [updated] = await sql`
+    UPDATE students SET 
+      academic_leave=true, 
+      academic_leave_start=${formattedStartDate}, 
+      academic_leave_end=${formattedEndDate},
+      academic_leave_reason=${reason},
+      status='on_leave'
+    WHERE id=${before.id} RETURNING *
+  `;
+  
+  const { password, ...student } = updated;
+  return { before, student };
+}
 
-  if (!registrationNumber || typeof registrationNumber !== 'string') {
-    return c.json({ error: 'Registration number is required' }, 400)
-  }
+// Record a leave granted by applyAcademicLeave in the audit log and status history
+async function recordAcademicLeaveGrant(c, { before, student }, details = null) {
+  await recordAudit(c, { action: 'student.academic_leave.grant', studentId: student.id, before, after: student, details });
+  await recordStatusChange(c, { before, after: student });
+}
 
-  if (!file || !(file instanceof File)) {
-    return c.json({ error: 'File is required' }, 400)
-  }
+// Put a student on academic leave and record the change. Shared by the grant
+// routes below. Returns the updated student, or null if the student does not exist.
+async function grantAcademicLeave(c, { studentId, registrationNumber, startDate, endDate, reason = '', details = null }) {
+  const result = await applyAcademicLeave(sql, { studentId, registrationNumber, startDate, endDate, reason });
+  if (!result) return null;
+  
+  await recordAcademicLeaveGrant(c, result, details);
+  return result.student;
+}
 
-  // Validate file size (max 10MB)
-  if (file.size > 10 * 1024 * 1024) {
-    return c.json({ error: 'File size must be less than 10MB' }, 400)
-  }
-  return {
-    registrationNumber: registrationNumber.trim(),
-    file: file
+// Grant academic leave to a student (accepts JSON body)
+app.post('/students/academic-leave', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    console.log('Academic leave request received');
+    const body = await c.req.json();
+    console.log('Request body:', body);
+    
+    // Support multiple parameter formats
+    const student_id = body.student_id || body.studentId || body.id;
+    const registration_number = body.registration_number || body.registrationNumber;
+    const start_date = body.start_date || body.startDate || body.from;
+    const end_date = body.end_date || body.endDate || body.to;
+    const reason = body.reason || body.academic_leave_reason || '';
+    
+    if (!student_id && !registration_number) {
+      return c.json({ 
+        error: 'Missing required field', 
+        details: 'Student ID or registration number is required' 
+      }, 400);
+    }
+    
+    const student = await grantAcademicLeave(c, {
+      studentId: student_id,
+      registrationNumber: registration_number,
+      startDate: start_date,
+      endDate: end_date,
+      reason
+    });
+    
+    if (!student) return c.json({ error: 'Student not found' }, 404);
+    
+    return c.json({ 
+      message: 'Academic leave granted successfully', 
+      student 
+    });
+  } catch (error) {
+    console.error('Error granting academic leave:', error);
+    return c.json({ 
+      error: 'Failed to grant academic leave', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Generic function to handle file upload with fallback to local storage
-async function handleFileUpload(
-  registrationNumber,
-  file,
-  documentType
-) {
+// Grant academic leave to a student (simpler URL path version)
+app.post('/students/:id/academic-leave', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    console.log(`Handling file upload for ${registrationNumber}, document type: ${documentType}`)
+    const student_id = c.req.param('id');
+    console.log('Academic leave request received for student:', student_id);
     
-    // Generate unique filename
-    const fileExtension = file.name.split('.').pop()
-    const fileName = `${documentType}/${registrationNumber}_${Date.now()}.${fileExtension}`
+    // Get dates and reason from body if provided
+    let start_date, end_date, reason = '';
+    try {
+      const body = await c.req.json();
+      start_date = body.start_date || body.startDate || body.from;
+      end_date = body.end_date || body.endDate || body.to;
+      reason = body.reason || body.academic_leave_reason || '';
+    } catch (e) {
+      // If no body or invalid JSON, use defaults
+    }
     
-    let fileUrl = null
-    let storageMethod = 'unknown'
-
-    // Check if Supabase is properly configured
-    const isSupabaseConfigured = process.env.SUPABASE_URL && 
-                                 process.env.SUPABASE_SERVICE_ROLE_KEY && 
-                                 process.env.SUPABASE_URL !== 'your_supabase_url'
+    const student = await grantAcademicLeave(c, { studentId: student_id, startDate: start_date, endDate: end_date, reason });
+    
+    if (!student) return c.json({ error: 'Student not found' }, 404);
+    
+    return c.json({ 
+      message: 'Academic leave granted successfully', 
+      student 
+    });
+  } catch (error) {
+    console.error('Error granting academic leave:', error);
+    return c.json({ 
+      error: 'Failed to grant academic leave', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-    if (isSupabaseConfigured) {
-      try {
-        console.log('Attempting Supabase upload...')
-        
-        // Convert file to buffer
-        const fileBuffer = await file.arrayBuffer()
-        const uint8Array = new Uint8Array(fileBuffer)
+// Grant academic leave by registration number
+app.on('POST', regNumberPaths('/students/registration', '/academic-leave'), requireAdmin(ROLES.REGISTRAR), resolveRegistrationNumber(), async (c) => {
+  try {
+    const registration_number = c.get('registrationNumber');
+    console.log('Academic leave request received for registration number:', registration_number);
+    
+    // Get dates and reason from body if provided
+    let start_date, end_date, reason = '';
+    try {
+      const body = await c.req.json();
+      start_date = body.start_date || body.startDate || body.from;
+      end_date = body.end_date || body.endDate || body.to;
+      reason = body.reason || body.academic_leave_reason || '';
+    } catch (e) {
+      // If no body or invalid JSON, use defaults
+    }
+    
+    const student = await grantAcademicLeave(c, { registrationNumber: registration_number, startDate: start_date, endDate: end_date, reason });
+    
+    if (!student) return c.json({ error: 'Student not found' }, 404);
+    
+    return c.json({ 
+      message: 'Academic leave granted successfully', 
+      student 
+    });
+  } catch (error) {
+    console.error('Error granting academic leave:', error);
+    return c.json({ 
+      error: 'Failed to grant academic leave', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-        // First, check if the bucket exists and is accessible
-        const { data: buckets, error: listError } = await supabase.storage.listBuckets()
-        
-        if (listError) {
-          console.warn('Error listing Supabase buckets:', listError.message)
-          throw new Error(`Bucket access error: ${listError.message}`)
-        }
+// Deregister a student by registration number
+app.on('POST', regNumberPaths('/students/registration', '/deregister'), requireAdmin(ROLES.REGISTRAR), resolveRegistrationNumber(), async (c) => {
+  try {
+    const registration_number = c.get('registrationNumber');
+    console.log('Deregistering student with registration number:', registration_number);
+    
+    return await deregisterStudentByRegNumber(c, registration_number);
+  } catch (error) {
+    console.error('Error deregistering student:', error);
+    return c.json({ 
+      error: 'Failed to deregister student', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-        const studentDocsBucket = buckets?.find(bucket => bucket.name === 'student-documents')
-        if (!studentDocsBucket) {
-          console.warn('student-documents bucket not found. Available buckets:', buckets?.map(b => b.name))
-          
-          // Try to create the bucket
-          const { error: createError } = await supabase.storage.createBucket('student-documents', {
-            public: true,
-            fileSizeLimit: 10485760 // 10MB
-          })
-          
-          if (createError) {
-            console.warn('Failed to create bucket:', createError.message)
-            throw new Error(`Bucket creation failed: ${createError.message}`)
-          }
-          
-          console.log('Successfully created student-documents bucket')
+// Helper function to deregister student by registration number
+async function deregisterStudentByRegNumber(c, registration_number) {    
+    // Get reason from body if provided
+    let reason = '';
+    try {
+      const body = await c.req.json();
+      reason = body.reason || body.deregistration_reason || '';
+    } catch (e) {
+      // If no body or invalid JSON, use default empty reason
+    }
+    
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    const before = await getStudentSnapshot({ registrationNumber: registration_number });
+    const { rows } = await pool.query(
+      `UPDATE students SET 
+        deregistered=true, 
+        deregistration_date=$1, 
+        deregistration_reason=$2,
+        status='deregistered' 
+      WHERE registration_number=$3 RETURNING *`,
+      [today, reason, registration_number]
+    );
+    
+    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    await recordAudit(c, { action: 'student.deregister', studentId: rows[0].id, before, after: rows[0] });
+    await recordStatusChange(c, { before, after: rows[0] });
+    
+    return c.json({ 
+      message: 'Student deregistered successfully', 
+      student: rows[0] 
+    });
+}
+
+// Bulk deregister students
+app.post('/students/deregister', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const body = await c.req.json();
+    console.log('Bulk deregistration request received');
+    
+    if (!body.student_ids && !body.registration_numbers) {
+      return c.json({ 
+        error: 'Missing required field', 
+        details: 'Student IDs or registration numbers are required' 
+      }, 400);
+    }
+    
+    const reason = body.reason || body.deregistration_reason || '';
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    let results = [];
+    
+    // Snapshots of the affected students, keyed by id, for the audit log
+    const { rows: beforeRows } = await pool.query(
+      'SELECT * FROM students WHERE id = ANY($1) OR registration_number = ANY($2)',
+      [body.student_ids || [], body.registration_numbers || []]
+    );
+    const beforeById = new Map(beforeRows.map(row => [row.id, row]));
+    
+    if (body.student_ids && body.student_ids.length > 0) {
+      const { rows } = await pool.query(
+        `UPDATE students SET 
+          deregistered=true, 
+          deregistration_date=$1, 
+          deregistration_reason=$2,
+          status='deregistered' 
+        WHERE id = ANY($3) RETURNING *`,
+        [today, reason, body.student_ids]
+      );
+      results = results.concat(rows);
+    }
+    
+    if (body.registration_numbers && body.registration_numbers.length > 0) {
+      const { rows } = await pool.query(
+        `UPDATE students SET 
+          deregistered=true, 
+          deregistration_date=$1, 
+          deregistration_reason=$2,
+          status='deregistered' 
+        WHERE registration_number = ANY($3) RETURNING *`,
+        [today, reason, body.registration_numbers]
+      );
+      results = results.concat(rows);
+    }
+    
+    for (const student of results) {
+      await recordAudit(c, {
+        action: 'student.deregister',
+        studentId: student.id,
+        before: beforeById.get(student.id),
+        after: student,
+        details: { bulk: true }
+      });
+      await recordStatusChange(c, { before: beforeById.get(student.id), after: student });
+    }
+    
+    return c.json({ 
+      message: `${results.length} students deregistered successfully`, 
+      students: results 
+    });
+  } catch (error) {
+    console.error('Error deregistering students:', error);
+    return c.json({ 
+      error: 'Failed to deregister students', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Deregister a student by ID
+app.post('/students/:id/deregister', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    console.log('Deregistering student:', student_id);
+    
+    // Get reason from body if provided
+    let reason = '';
+    try {
+      const body = await c.req.json();
+      reason = body.reason || body.deregistration_reason || '';
+    } catch (e) {
+      // If no body or invalid JSON, use default empty reason
+    }
+    
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    const before = await getStudentSnapshot({ id: student_id });
+    const { rows } = await pool.query(
+      `UPDATE students SET 
+        deregistered=true, 
+        deregistration_date=$1, 
+        deregistration_reason=$2,
+        status='deregistered' 
+      WHERE id=$3 RETURNING *`,
+      [today, reason, student_id]
+    );
+    
+    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    await recordAudit(c, { action: 'student.deregister', studentId: rows[0].id, before, after: rows[0] });
+    await recordStatusChange(c, { before, after: rows[0] });
+    
+    return c.json({ 
+      message: 'Student deregistered successfully', 
+      student: rows[0] 
+    });
+  } catch (error) {
+    console.error('Error deregistering student:', error);
+    return c.json({ 
+      error: 'Failed to deregister student', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Deregistration clearance workflow. The routes above deregister immediately;
+// a deregistration request instead waits for finance, library and department
+// clearance before the registrar's final approval deregisters the student.
+const CLEARANCE_ROLES = [ROLES.REGISTRAR, ...Object.values(CLEARANCE_DEPARTMENTS)];
+
+// Open a deregistration request for a student
+app.post('/students/:id/deregistration-requests', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    const admin = c.get('admin');
+    
+    let body = {};
+    try {
+      body = await c.req.json();
+    } catch (e) {
+      // Reason is checked below
+    }
+    
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+      return c.json({
+        error: 'Missing required field',
+        details: 'Please provide the "reason" for deregistration'
+      }, 400);
+    }
+    
+    const { rows: studentRows } = await pool.query(
+      'SELECT id, registration_number, status FROM students WHERE id = $1',
+      [student_id]
+    );
+    
+    if (studentRows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    const student = studentRows[0];
+    
+    if (student.status === 'deregistered') {
+      return c.json({
+        error: 'Student already deregistered',
+        details: `Student ${student.registration_number} is already deregistered`
+      }, 409);
+    }
+    
+    let requestId;
+    try {
+      requestId = await sql.begin(async sql => {
+        const [request] = await sql`
+          INSERT INTO deregistration_requests (student_id, reason, requested_by, requested_by_username)
+          VALUES (${student.id}, ${reason}, ${admin.id}, ${admin.username})
+          RETURNING id
+        `;
+        
+        for (const department of Object.keys(CLEARANCE_DEPARTMENTS)) {
+          await sql`
+            INSERT INTO deregistration_clearances (request_id, department) 
+            VALUES (${request.id}, ${department})
+          `;
         }
+        
+        return request.id;
+      });
+    } catch (insertError) {
+      if (insertError.code === '23505') {
+        return c.json({
+          error: 'Request already open',
+          details: 'This student already has a pending deregistration request'
+        }, 409);
+      }
+      throw insertError;
+    }
+    
+    const request = await getDeregistrationRequest(requestId);
+    console.log(`Deregistration request ${requestId} opened for ${student.registration_number}`);
+    await recordAudit(c, {
+      action: 'deregistration_request.create',
+      studentId: student.id,
+      registrationNumber: student.registration_number,
+      after: request
+    });
+    
+    return c.json({
+      message: 'Deregistration request created; awaiting clearance',
+      request
+    }, 201);
+  } catch (error) {
+    console.error('Error creating deregistration request:', error);
+    return c.json({ 
+      error: 'Failed to create deregistration request', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-        // Upload to Supabase storage
-        const { data: uploadData, error: uploadError } = await supabase.storage
-          .from('student-documents')
-          .upload(fileName, uint8Array, {
-            contentType: file.type,
-            upsert: false
-          })
+// Deregistration requests with their clearance progress (default: pending only)
+app.get('/deregistration-requests', requireAdmin(...CLEARANCE_ROLES), async (c) => {
+  try {
+    const status = c.req.query('status') || 'pending';
+    
+    if (status !== 'all' && !DEREGISTRATION_REQUEST_STATUSES.includes(status)) {
+      return c.json({
+        error: 'Invalid status',
+        details: `status must be one of: ${DEREGISTRATION_REQUEST_STATUSES.join(', ')}, all`
+      }, 400);
+    }
+    
+    const { rows } = await pool.query(
+      `SELECT dr.*, s.registration_number, s.name, s.course, s.level_of_study,
+              (SELECT json_object_agg(dc.department, dc.status) 
+               FROM deregistration_clearances dc WHERE dc.request_id = dr.id) AS clearances
+       FROM deregistration_requests dr
+       JOIN students s ON s.id = dr.student_id
+       WHERE ($1::text = 'all' OR dr.status = $1)
+       ORDER BY dr.created_at`,
+      [status]
+    );
+    
+    return c.json({ requests: rows, count: rows.length });
+  } catch (error) {
+    console.error('Error fetching deregistration requests:', error);
+    return c.json({ 
+      error: 'Failed to fetch deregistration requests', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+app.get('/deregistration-requests/:id', requireAdmin(...CLEARANCE_ROLES), async (c) => {
+  try {
+    const request = await getDeregistrationRequest(c.req.param('id'));
+    
+    if (!request) return c.json({ error: 'Deregistration request not found' }, 404);
+    
+    return c.json(request);
+  } catch (error) {
+    console.error('Error fetching deregistration request:', error);
+    return c.json({ 
+      error: 'Failed to fetch deregistration request', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// A department clears (or blocks, with comments) a pending request
+app.post('/deregistration-requests/:id/clearances/:department', requireAdmin(...CLEARANCE_ROLES), async (c) => {
+  try {
+    const request_id = c.req.param('id');
+    const department = c.req.param('department');
+    const admin = c.get('admin');
+    
+    if (!CLEARANCE_DEPARTMENTS[department]) {
+      return c.json({
+        error: 'Unknown department',
+        details: `department must be one of: ${Object.keys(CLEARANCE_DEPARTMENTS).join(', ')}`
+      }, 400);
+    }
+    
+    if (!hasRole(admin.roles, [CLEARANCE_DEPARTMENTS[department]])) {
+      return c.json({
+        error: 'Insufficient permissions',
+        details: `This action requires one of the following roles: ${CLEARANCE_DEPARTMENTS[department]}`
+      }, 403);
+    }
+    
+    let body = {};
+    try {
+      body = await c.req.json();
+    } catch (e) {
+      // Status is checked below
+    }
+    
+    const status = body.status || 'cleared';
+    const comments = typeof body.comments === 'string' ? body.comments.trim() : '';
+    
+    if (!CLEARANCE_STATUSES.includes(status)) {
+      return c.json({
+        error: 'Invalid status',
+        details: `status must be one of: ${CLEARANCE_STATUSES.join(', ')}`
+      }, 400);
+    }
+    
+    if (status === 'blocked' && !comments) {
+      return c.json({
+        error: 'Missing required field',
+        details: 'Please provide "comments" explaining why clearance is blocked'
+      }, 400);
+    }
+    
+    const request = await getDeregistrationRequest(request_id);
+    
+    if (!request) return c.json({ error: 'Deregistration request not found' }, 404);
+    
+    if (request.status !== 'pending') {
+      return c.json({
+        error: 'Request already decided',
+        details: `This request is ${request.status}`
+      }, 409);
+    }
+    
+    if (department === 'finance' && status === 'cleared' && request.fee_balance > 0) {
+      return c.json({
+        error: 'Outstanding fee balance',
+        details: `The student still owes ${request.fee_balance}`
+      }, 409);
+    }
+    
+    const { rows } = await pool.query(
+      `UPDATE deregistration_clearances SET 
+        status = $3, comments = $4, signed_by = $5, signed_by_username = $6, signed_at = now()
+      WHERE request_id = $1 AND department = $2
+      RETURNING department, status, comments, signed_by, signed_by_username, signed_at`,
+      [request.id, department, status, comments || null, admin.id, admin.username]
+    );
+    
+    const before = request.clearances.find(clearance => clearance.department === department);
+    console.log(`Deregistration request ${request.id}: ${department} ${status} by ${admin.username}`);
+    await recordAudit(c, {
+      action: 'deregistration_request.clearance',
+      studentId: request.student_id,
+      registrationNumber: request.registration_number,
+      before,
+      after: rows[0],
+      details: { request_id: request.id, department }
+    });
+    
+    const updated = await getDeregistrationRequest(request.id);
+    
+    return c.json({
+      message: `${department} clearance ${status}`,
+      request: updated,
+      outstanding: outstandingClearances(updated.clearances)
+    });
+  } catch (error) {
+    console.error('Error recording clearance:', error);
+    return c.json({ 
+      error: 'Failed to record clearance', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Final approval: once every department has cleared the request, deregister the
+// student and cancel their open (not yet registered) unit allocations
+app.post('/deregistration-requests/:id/approve', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const request_id = c.req.param('id');
+    const admin = c.get('admin');
+    
+    let comments = '';
+    try {
+      const body = await c.req.json();
+      comments = typeof body.comments === 'string' ? body.comments.trim() : '';
+    } catch (e) {
+      // No body: approve without comments
+    }
+    
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+    
+    const result = await sql.begin(async sql => {
+      const [request] = await sql`SELECT * FROM deregistration_requests WHERE id = ${request_id} FOR UPDATE`;
+      
+      if (!request) return { status: 404, error: 'Deregistration request not found' };
+      
+      if (request.status !== 'pending') {
+        return { status: 409, error: 'Request already decided', details: `This request is ${request.status}` };
+      }
+      
+      const clearances = await sql`
+        SELECT department, status FROM deregistration_clearances WHERE request_id = ${request.id}
+      `;
+      const outstanding = outstandingClearances(clearances);
+      
+      if (outstanding.length > 0) {
+        return {
+          status: 409,
+          error: 'Clearance incomplete',
+          details: `Awaiting clearance from: ${outstanding.join(', ')}`
+        };
+      }
+      
+      const [before] = await sql`SELECT * FROM students WHERE id = ${request.student_id} FOR UPDATE`;
+      
+      if (before.status === 'deregistered') {
+        return {
+          status: 409,
+          error: 'Student already deregistered',
+          details: `Student ${before.registration_number} is already deregistered`
+        };
+      }
+      
+      const [student] = await sql`
+        UPDATE students SET 
+          deregistered=true, 
+          deregistration_date=${today}, 
+          deregistration_reason=${request.reason},
+          status='deregistered' 
+        WHERE id=${request.student_id} RETURNING *
+      `;
+      
+      const cancelledUnits = await sql`
+        UPDATE allocated_units SET status = 'cancelled' 
+        WHERE student_id = ${request.student_id} AND status = 'allocated' 
+        RETURNING *
+      `;
+      
+      const [approved] = await sql`
+        UPDATE deregistration_requests SET 
+          status = 'approved', decision_comments = ${comments || null},
+          decided_by = ${admin.id}, decided_by_username = ${admin.username}, decided_at = now()
+        WHERE id = ${request.id} 
+        RETURNING *
+      `;
+      
+      return { before, student, cancelledUnits, request: approved };
+    });
+    
+    if (result.error) {
+      return c.json({ error: result.error, details: result.details }, result.status);
+    }
+    
+    const { before, student, cancelledUnits, request } = result;
+    const { password, ...studentDetails } = student;
+    console.log(`Deregistration request ${request.id} approved; ${cancelledUnits.length} allocations cancelled`);
+    
+    await recordAudit(c, {
+      action: 'student.deregister',
+      studentId: student.id,
+      before,
+      after: student,
+      details: {
+        deregistration_request_id: request.id,
+        cancelled_allocations: cancelledUnits.map(unit => unit.id)
+      }
+    });
+    await recordStatusChange(c, { before, after: student });
+    await recordAudit(c, {
+      action: 'deregistration_request.approve',
+      studentId: student.id,
+      after: request
+    });
+    
+    return c.json({
+      message: 'Deregistration approved; student deregistered',
+      request,
+      student: studentDetails,
+      cancelled_allocations: cancelledUnits
+    });
+  } catch (error) {
+    console.error('Error approving deregistration request:', error);
+    return c.json({ 
+      error: 'Failed to approve deregistration request', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Reject a pending request; the student stays registered
+app.post('/deregistration-requests/:id/reject', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const request_id = c.req.param('id');
+    const admin = c.get('admin');
+    
+    let comments = '';
+    try {
+      const body = await c.req.json();
+      comments = typeof body.comments === 'string' ? body.comments.trim() : '';
+    } catch (e) {
+      // Comments are checked below
+    }
+    
+    if (!comments) {
+      return c.json({
+        error: 'Missing required field',
+        details: 'Please provide "comments" explaining why the request is rejected'
+      }, 400);
+    }
+    
+    const { rows } = await pool.query(
+      `UPDATE deregistration_requests SET 
+        status = 'rejected', decision_comments = $2,
+        decided_by = $3, decided_by_username = $4, decided_at = now()
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *`,
+      [request_id, comments, admin.id, admin.username]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({
+        error: 'Deregistration request not found',
+        details: 'No pending deregistration request with this ID'
+      }, 404);
+    }
+    
+    await recordAudit(c, { action: 'deregistration_request.reject', studentId: rows[0].student_id, after: rows[0] });
+    
+    return c.json({
+      message: 'Deregistration request rejected',
+      request: rows[0]
+    });
+  } catch (error) {
+    console.error('Error rejecting deregistration request:', error);
+    return c.json({ 
+      error: 'Failed to reject deregistration request', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Restore a deregistered student
+app.post('/students/:id/restore', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    console.log('Restoring deregistered student:', student_id);
+    
+    // Optional reason for the restoration, kept in the status history
+    let reason = '';
+    try {
+      const body = await c.req.json();
+      reason = body.reason || '';
+    } catch (e) {
+      // No body: restore without a reason
+    }
+    
+    const before = await getStudentSnapshot({ id: student_id });
+    const { rows } = await pool.query(
+      `UPDATE students SET 
+        deregistered=false, 
+        deregistration_date=NULL, 
+        deregistration_reason=NULL,
+        status='active' 
+      WHERE id=$1 RETURNING *`,
+      [student_id]
+    );
+    
+    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    await recordAudit(c, { action: 'student.restore', studentId: rows[0].id, before, after: rows[0] });
+    await recordStatusChange(c, { before, after: rows[0], reason });
+    
+    return c.json({ 
+      message: 'Student restored successfully', 
+      student: rows[0] 
+    });
+  } catch (error) {
+    console.error('Error restoring student:', error);
+    return c.json({ 
+      error: 'Failed to restore student', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Mark a student as completed or graduated (admin) once every unit on their record
+// is passed and fees are cleared. Graduation stores the date (default today) and
+// award class; completion (awaiting graduation) may leave both out.
+// With dry_run the eligibility check is returned without changing anything.
+app.post('/students/:id/graduate', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    
+    let body = {};
+    try {
+      body = await c.req.json();
+    } catch (e) {
+      // No body: defaults apply
+    }
+    
+    const status = body.status || 'graduated';
+    const dryRun = body.dry_run === true || body.dry_run === 'true';
+    const awardClass = body.award_class || null;
+    const graduationDate = body.graduation_date || (status === 'graduated' ? new Date().toISOString().split('T')[0] : null);
+    
+    const errors = {};
+    if (!['completed', 'graduated'].includes(status)) {
+      errors.status = 'status must be completed or graduated';
+    }
+    if (awardClass && !AWARD_CLASSES.includes(awardClass)) {
+      errors.award_class = `award_class must be one of: ${AWARD_CLASSES.join(', ')}`;
+    } else if (!awardClass && status === 'graduated' && !dryRun) {
+      errors.award_class = 'award_class is required to graduate';
+    }
+    if (graduationDate && (!/^\d{4}-\d{2}-\d{2}$/.test(graduationDate) || isNaN(new Date(graduationDate).getTime()))) {
+      errors.graduation_date = 'graduation_date must be a date (YYYY-MM-DD)';
+    }
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    if (dryRun) {
+      const check = await checkGraduationEligibility(student_id);
+      if (!check) return c.json({ error: 'Student not found' }, 404);
+      
+      const { student, ...eligibility } = check;
+      return c.json({ 
+        dry_run: true, 
+        registration_number: student.registration_number, 
+        status: student.status, 
+        ...eligibility 
+      });
+    }
+    
+    const result = await sql.begin(async sql => {
+      const check = await checkGraduationEligibility(student_id, { sql, lock: true });
+      if (!check || !check.eligible) return { check };
+      
+      const [student] = await sql`
+        UPDATE students SET 
+          status = ${status}, 
+          graduation_date = ${graduationDate}, 
+          award_class = ${awardClass}
+        WHERE id = ${student_id} 
+        RETURNING *
+      `;
+      return { check, student };
+    });
+    
+    if (!result.check) return c.json({ error: 'Student not found' }, 404);
+    
+    const { student: before, ...eligibility } = result.check;
+    if (!result.student) {
+      return c.json({
+        error: `Student cannot be ${status}`,
+        details: eligibility.reasons,
+        ...eligibility
+      }, 409);
+    }
+    
+    await recordAudit(c, { 
+      action: `student.${status === 'graduated' ? 'graduate' : 'complete'}`, 
+      studentId: student_id, 
+      before, 
+      after: result.student, 
+      details: { units: eligibility.units.required.length, fee_balance: eligibility.fee_balance } 
+    });
+    await recordStatusChange(c, { before, after: result.student });
+    
+    console.log(`Student ${result.student.registration_number} is now ${status}`);
+    
+    const { password, ...student } = result.student;
+    return c.json({
+      message: status === 'graduated' ? 'Student graduated successfully' : 'Student marked as completed',
+      student,
+      units: eligibility.units
+    });
+  } catch (error) {
+    console.error('Error graduating student:', error);
+    return c.json({ 
+      error: 'Failed to graduate student', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Move a graduated student to alumni (admin)
+app.post('/students/:id/alumni', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    
+    const before = await getStudentSnapshot({ id: student_id });
+    if (!before) return c.json({ error: 'Student not found' }, 404);
+    
+    const { rows } = await pool.query(
+      `UPDATE students SET status = 'alumni' 
+       WHERE id = $1 AND status = 'graduated' 
+       RETURNING ${STUDENT_COLUMNS}`,
+      [student_id]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({ 
+        error: 'Student has not graduated', 
+        details: `Only graduated students can become alumni; student ${before.registration_number} is ${before.status}` 
+      }, 409);
+    }
+    
+    await recordAudit(c, { action: 'student.alumni', studentId: student_id, before, after: rows[0] });
+    await recordStatusChange(c, { before, after: rows[0] });
+    
+    return c.json({ 
+      message: 'Student moved to alumni', 
+      student: rows[0] 
+    });
+  } catch (error) {
+    console.error('Error moving student to alumni:', error);
+    return c.json({ 
+      error: 'Failed to move student to alumni', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Cancel academic leave for a student
+app.delete('/students/:id/academic-leave', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    console.log('Canceling academic leave for student:', student_id);
+    
+    // Optional reason for ending the leave early, kept in the status history
+    let reason = '';
+    try {
+      const body = await c.req.json();
+      reason = body.reason || '';
+    } catch (e) {
+      // No body: cancel without a reason
+    }
+    
+    const before = await getStudentSnapshot({ id: student_id });
+    const { rows } = await pool.query(
+      `UPDATE students SET 
+        academic_leave=false, 
+        academic_leave_start=NULL, 
+        academic_leave_end=NULL,
+        academic_leave_reason=NULL,
+        status='active' 
+      WHERE id=$1 RETURNING *`,
+      [student_id]
+    );
+    
+    if (rows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    await recordAudit(c, { action: 'student.academic_leave.cancel', studentId: rows[0].id, before, after: rows[0] });
+    await recordStatusChange(c, { before, after: rows[0], reason });
+    
+    return c.json({ 
+      message: 'Academic leave canceled successfully', 
+      student: rows[0] 
+    });
+  } catch (error) {
+    console.error('Error canceling academic leave:', error);
+    return c.json({ 
+      error: 'Failed to cancel academic leave', 
+      details: error.message 
+    }, 500);  }
+});
+
+// Status timeline of a student (leaves, deregistrations, restorations), oldest first
+app.get('/students/:id/status-history', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    
+    const { rows: studentRows } = await pool.query(
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1',
+      [student_id]
+    );
+    
+    if (studentRows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    const { rows } = await pool.query(
+      `SELECT id, from_status, to_status, reason, start_date, end_date, previous_details,
+              changed_by_type, changed_by_id, changed_by_username, created_at
+       FROM student_status_history 
+       WHERE student_id = $1 
+       ORDER BY created_at, id`,
+      [student_id]
+    );
+    
+    return c.json({
+      student: studentRows[0],
+      history: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    return c.json({ 
+      error: 'Failed to fetch status history', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Student applies for academic leave with a reason, dates and an optional
+// supporting document (multipart `document`/`file`, stored through the unified
+// upload system). JSON bodies are accepted when there is no document.
+// Registrars may also submit on a student's behalf.
+app.post('/students/:id/leave-applications', requireStudentOrAdmin(), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    const admin = c.get('admin');
+    
+    if (admin && !hasRole(admin.roles, [ROLES.REGISTRAR])) {
+      return c.json({
+        error: 'Insufficient permissions',
+        details: `This action requires one of the following roles: ${ROLES.REGISTRAR}`
+      }, 403);
+    }
+    
+    let input;
+    let document = null;
+    const contentType = c.req.header('content-type') || '';
+    
+    if (contentType.includes('multipart/form-data')) {
+      let formData;
+      try {
+        formData = await c.req.formData();
+      } catch (formError) {
+        return c.json({
+          error: 'Malformed FormData request',
+          details: 'Failed to parse body as FormData'
+        }, 400);
+      }
+      
+      input = {
+        reason: formData.get('reason'),
+        start_date: formData.get('start_date'),
+        end_date: formData.get('end_date')
+      };
+      document = formData.get('document') || formData.get('file');
+      
+      if (document && !(document instanceof File)) {
+        return c.json({ error: 'The supporting document must be a file' }, 400);
+      }
+      if (document && document.size > 10 * 1024 * 1024) {
+        return c.json({ error: 'File size must be less than 10MB' }, 400);
+      }
+    } else {
+      try {
+        input = await c.req.json();
+      } catch (jsonError) {
+        return c.json({
+          error: 'Invalid JSON data',
+          details: 'The request body must be valid JSON or multipart/form-data'
+        }, 400);
+      }
+    }
+    
+    const { values, errors } = validateLeaveApplication(input);
+    if (errors.length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    const { rows: studentRows } = await pool.query(
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1',
+      [student_id]
+    );
+    
+    if (studentRows.length === 0) return c.json({ error: 'Student not found' }, 404);
+    
+    const student = studentRows[0];
+    
+    if (student.status !== 'active') {
+      return c.json({
+        error: 'Cannot apply for academic leave',
+        details: `Only active students can apply for academic leave (current status: ${student.status})`
+      }, 409);
+    }
+    
+    const { rows: pendingRows } = await pool.query(
+      "SELECT id FROM leave_applications WHERE student_id = $1 AND status = 'pending'",
+      [student.id]
+    );
+    
+    if (pendingRows.length > 0) {
+      return c.json({
+        error: 'Application already pending',
+        details: 'Withdraw or wait for a decision on the pending application before submitting another',
+        application_id: pendingRows[0].id
+      }, 409);
+    }
+    
+    let documentId = null;
+    if (document) {
+      const upload = await handleFileUpload(student.registration_number, document, 'leave-application', c);
+      documentId = upload.data.id;
+    }
+    
+    let application;
+    try {
+      const { rows } = await pool.query(
+        `INSERT INTO leave_applications (student_id, reason, start_date, end_date, document_id)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [student.id, values.reason, values.start_date, values.end_date, documentId]
+      );
+      application = rows[0];
+    } catch (insertError) {
+      // Another application was submitted at the same time
+      if (insertError.code === '23505') {
+        return c.json({
+          error: 'Application already pending',
+          details: 'Withdraw or wait for a decision on the pending application before submitting another'
+        }, 409);
+      }
+      throw insertError;
+    }
+    
+    console.log(`Leave application ${application.id} submitted for ${student.registration_number}`);
+    await recordAudit(c, {
+      action: 'leave_application.submit',
+      studentId: student.id,
+      registrationNumber: student.registration_number,
+      after: application
+    });
+    
+    return c.json({
+      message: 'Leave application submitted successfully',
+      application
+    }, 201);
+  } catch (error) {
+    console.error('Error submitting leave application:', error);
+    return c.json({ 
+      error: 'Failed to submit leave application', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// A student's leave applications, newest first
+app.get('/students/:id/leave-applications', requireStudentOrAdmin(), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    
+    const { rows } = await pool.query(
+      `SELECT la.*, d.file_url AS document_url, d.file_name AS document_name
+       FROM leave_applications la
+       LEFT JOIN student_documents d ON d.id = la.document_id
+       WHERE la.student_id = $1
+       ORDER BY la.created_at DESC`,
+      [student_id]
+    );
+    
+    return c.json({ applications: rows, count: rows.length });
+  } catch (error) {
+    console.error('Error fetching leave applications:', error);
+    return c.json({ 
+      error: 'Failed to fetch leave applications', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Student withdraws a pending application
+app.post('/students/:id/leave-applications/:applicationId/withdraw', requireStudentOrAdmin(), async (c) => {
+  try {
+    const student_id = c.req.param('id');
+    const application_id = c.req.param('applicationId');
+    
+    const { rows } = await pool.query(
+      `UPDATE leave_applications SET status = 'withdrawn'
+       WHERE id = $1 AND student_id = $2 AND status = 'pending'
+       RETURNING *`,
+      [application_id, student_id]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({
+        error: 'Application not found',
+        details: 'No pending leave application with this ID for the student'
+      }, 404);
+    }
+    
+    await recordAudit(c, { action: 'leave_application.withdraw', studentId: student_id, after: rows[0] });
+    
+    return c.json({
+      message: 'Leave application withdrawn',
+      application: rows[0]
+    });
+  } catch (error) {
+    console.error('Error withdrawing leave application:', error);
+    return c.json({ 
+      error: 'Failed to withdraw leave application', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Leave applications for review, oldest first (default: pending only)
+app.get('/leave-applications', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const status = c.req.query('status') || 'pending';
+    
+    if (status !== 'all' && !LEAVE_APPLICATION_STATUSES.includes(status)) {
+      return c.json({
+        error: 'Invalid status',
+        details: `status must be one of: ${LEAVE_APPLICATION_STATUSES.join(', ')}, all`
+      }, 400);
+    }
+    
+    const { rows } = await pool.query(
+      `SELECT la.*, s.registration_number, s.name, s.course, s.level_of_study, s.status AS student_status,
+              d.file_url AS document_url, d.file_name AS document_name
+       FROM leave_applications la
+       JOIN students s ON s.id = la.student_id
+       LEFT JOIN student_documents d ON d.id = la.document_id
+       WHERE ($1::text = 'all' OR la.status = $1)
+       ORDER BY la.created_at`,
+      [status]
+    );
+    
+    return c.json({ applications: rows, count: rows.length });
+  } catch (error) {
+    console.error('Error fetching leave applications:', error);
+    return c.json({ 
+      error: 'Failed to fetch leave applications', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Approve or reject a pending application. Approval puts the student on leave
+// exactly like the grant routes; the admin may adjust the dates.
+async function reviewLeaveApplication(c, decision) {
+  try {
+    const application_id = c.req.param('id');
+    const admin = c.get('admin');
+    
+    let body = {};
+    try {
+      body = await c.req.json();
+    } catch (e) {
+      // No body: decide without comments
+    }
+    
+    const comments = typeof body.comments === 'string' ? body.comments.trim() : '';
+    if (decision === 'rejected' && !comments) {
+      return c.json({
+        error: 'Missing required field',
+        details: 'Please provide "comments" explaining why the application is rejected'
+      }, 400);
+    }
+    
+    const { rows: applicationRows } = await pool.query(
+      `SELECT la.*, s.registration_number, s.status AS student_status
+       FROM leave_applications la JOIN students s ON s.id = la.student_id
+       WHERE la.id = $1`,
+      [application_id]
+    );
+    
+    if (applicationRows.length === 0) return c.json({ error: 'Application not found' }, 404);
+    
+    const application = applicationRows[0];
+    
+    if (application.status !== 'pending') {
+      return c.json({
+        error: 'Application already decided',
+        details: `This application is ${application.status}`
+      }, 409);
+    }
+    
+    let dates = { start_date: application.start_date, end_date: application.end_date };
+    if (decision === 'approved') {
+      if (application.student_status !== 'active') {
+        return c.json({
+          error: 'Cannot approve application',
+          details: `The student is no longer active (current status: ${application.student_status})`
+        }, 409);
+      }
+      
+      if (body.start_date || body.end_date) {
+        const { values, errors } = validateLeaveApplication({
+          reason: application.reason,
+          start_date: body.start_date || new Date(application.start_date).toISOString().slice(0, 10),
+          end_date: body.end_date || new Date(application.end_date).toISOString().slice(0, 10)
+        });
+        if (errors.length > 0) {
+          return c.json({ error: 'Validation failed', details: errors }, 400);
+        }
+        dates = values;
+      }
+    }
+    
+    // The decision and the leave commit together. The update is conditional so
+    // two reviewers cannot both decide the application.
+    const result = await sql.begin(async sql => {
+      const [reviewed] = await sql`
+        UPDATE leave_applications SET 
+          status = ${decision}, start_date = ${dates.start_date}, end_date = ${dates.end_date}, 
+          review_comments = ${comments || null},
+          reviewed_by = ${admin.id}, reviewed_by_username = ${admin.username}, reviewed_at = now()
+        WHERE id = ${application.id} AND status = 'pending' 
+        RETURNING *
+      `;
+      if (!reviewed) return null;
+      
+      const leave = decision === 'approved'
+        ? await applyAcademicLeave(sql, {
+            studentId: reviewed.student_id,
+            startDate: reviewed.start_date,
+            endDate: reviewed.end_date,
+            reason: reviewed.reason
+          })
+        : null;
+      
+      return { reviewed, leave };
+    });
+    
+    if (!result) {
+      return c.json({
+        error: 'Application already decided',
+        details: 'This application was decided by another reviewer'
+      }, 409);
+    }
+    
+    const { reviewed, leave } = result;
+    const student = leave ? leave.student : null;
+    if (leave) {
+      await recordAcademicLeaveGrant(c, leave, { leave_application_id: reviewed.id });
+    }
+    
+    console.log(`Leave application ${reviewed.id} ${decision} by ${admin.username}`);
+    await recordAudit(c, {
+      action: decision === 'approved' ? 'leave_application.approve' : 'leave_application.reject',
+      studentId: reviewed.student_id,
+      registrationNumber: application.registration_number,
+      before: application,
+      after: reviewed
+    });
+    
+    return c.json({
+      message: decision === 'approved' ? 'Leave application approved' : 'Leave application rejected',
+      application: reviewed,
+      ...(student ? { student } : {})
+    });
+  } catch (error) {
+    console.error('Error reviewing leave application:', error);
+    return c.json({ 
+      error: 'Failed to review leave application', 
+      details: error.message 
+    }, 500);
+  }
+}
+
+app.post('/leave-applications/:id/approve', requireAdmin(ROLES.REGISTRAR), (c) => reviewLeaveApplication(c, 'approved'));
+app.post('/leave-applications/:id/reject', requireAdmin(ROLES.REGISTRAR), (c) => reviewLeaveApplication(c, 'rejected'));
+
+// Get registered units for a student
+app.get('/students/:id/registered-units', requireStudentOrAdmin(), async (c) => {
+  try {
+    const studentId = c.req.param('id');
+    console.log('Fetching registered units for student:', studentId);
+    
+    const { rows } = await pool.query(
+      'SELECT * FROM registered_units WHERE student_id = $1 ORDER BY unit_code',
+      [studentId]
+    );
+    
+    return c.json(rows);
+  } catch (error) {
+    console.error('Error fetching registered units:', error);
+    return c.json({ 
+      error: 'Failed to fetch registered units', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Get fees information for a student
+app.get('/students/:id/fees', requireStudentOrAdmin(), async (c) => {
+  try {
+    const studentId = c.req.param('id');
+    console.log('Fetching fees for student:', studentId);
+    
+    const { rows } = await pool.query(
+      'SELECT fee_balance, total_paid, semester_fee FROM fees WHERE student_id = $1',
+      [studentId]
+    );
+    
+    if (rows.length === 0) {
+      // Return default values if no fee record exists
+      return c.json({
+        fee_balance: 0,
+        total_paid: 0,
+        semester_fee: 0,
+        session_progress: 0
+      });
+    }
+    
+    const fees = rows[0];
+    // Calculate session progress as percentage
+    const sessionProgress = fees.semester_fee > 0 
+      ? Math.round((fees.total_paid / fees.semester_fee) * 100) 
+      : 0;
+    
+    return c.json({
+      ...fees,
+      session_progress: sessionProgress
+    });
+  } catch (error) {
+    console.error('Error fetching fees:', error);
+    return c.json({ 
+      error: 'Failed to fetch fees', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// =============================================================================
+// NEW UNIFIED DOCUMENT UPLOAD SYSTEM
+// =============================================================================
+
+// Serve uploaded files from local storage
+app.use('/uploads/*', serveStatic({ root: './uploads' }));
+
+// Validation middleware for file upload
+const fileUploadValidator = validator('form', (value, c) => {
+  const registrationNumber = value['registrationNumber']
+  const file = value['file']
+
+  if (!registrationNumber || typeof registrationNumber !== 'string') {
+    return c.json({ error: 'Registration number is required' }, 400)
+  }
+
+  if (!file || !(file instanceof File)) {
+    return c.json({ error: 'File is required' }, 400)
+  }
+
+  // Validate file size (max 10MB)
+  if (file.size > 10 * 1024 * 1024) {
+    return c.json({ error: 'File size must be less than 10MB' }, 400)
+  }
+  return {
+    registrationNumber: registrationNumber.trim(),
+    file: file,
+    course: typeof value['course'] === 'string' && value['course'].trim() ? value['course'].trim() : null
+  }
+})
+
+// Generic function to handle file upload with fallback to local storage.
+// Pass the request context `c` to record the upload in the audit log.
+async function handleFileUpload(
+  registrationNumber,
+  file,
+  documentType,
+  c
+) {
+  try {
+    console.log(`Handling file upload for ${registrationNumber}, document type: ${documentType}`)
+    
+    // Generate unique filename
+    const fileExtension = file.name.split('.').pop()
+    const fileName = `${documentType}/${registrationNumber}_${Date.now()}.${fileExtension}`
+    
+    let fileUrl = null
+    let storageMethod = 'unknown'
+
+    // Check if Supabase is properly configured
+    const isSupabaseConfigured = process.env.SUPABASE_URL && 
+                                 process.env.SUPABASE_SERVICE_ROLE_KEY && 
+                                 process.env.SUPABASE_URL !== 'your_supabase_url'
+
+    if (isSupabaseConfigured) {
+      try {
+        console.log('Attempting Supabase upload...')
+        
+        // Convert file to buffer
+        const fileBuffer = await file.arrayBuffer()
+        const uint8Array = new Uint8Array(fileBuffer)
+
+        // First, check if the bucket exists and is accessible
+        const { data: buckets, error: listError } = await supabase.storage.listBuckets()
+        
+        if (listError) {
+          console.warn('Error listing Supabase buckets:', listError.message)
+          throw new Error(`Bucket access error: ${listError.message}`)
+        }
+
+        const studentDocsBucket = buckets?.find(bucket => bucket.name === 'student-documents')
+        if (!studentDocsBucket) {
+          console.warn('student-documents bucket not found. Available buckets:', buckets?.map(b => b.name))
+          
+          // Try to create the bucket
+          const { error: createError } = await supabase.storage.createBucket('student-documents', {
+            public: true,
+            fileSizeLimit: 10485760 // 10MB
+          })
+          
+          if (createError) {
+            console.warn('Failed to create bucket:', createError.message)
+            throw new Error(`Bucket creation failed: ${createError.message}`)
+          }
+          
+          console.log('Successfully created student-documents bucket')
+        }
+
+        // Upload to Supabase storage
+        const { data: uploadData, error: uploadError } = await supabase.storage
+          .from('student-documents')
+          .upload(fileName, uint8Array, {
+            contentType: file.type,
+            upsert: false
+          })
+
+        if (uploadError) {
+          throw new Error(`Upload failed: ${uploadError.message}`)
+        }
+
+        // Get public URL
+        const { data: urlData } = supabase.storage
+          .from('student-documents')
+          .getPublicUrl(fileName)
+
+        fileUrl = urlData.publicUrl
+        storageMethod = 'supabase'
+        console.log('Successfully uploaded to Supabase')
+
+      } catch (supabaseError) {
+        console.warn('Supabase upload failed, falling back to local storage:', supabaseError.message)
+        fileUrl = await saveFileLocally(file, fileName)
+        storageMethod = 'local'
+      }
+    } else {
+      console.log('Supabase not configured, using local storage')
+      fileUrl = await saveFileLocally(file, fileName)
+      storageMethod = 'local'
+    }
+
+    // Insert record into database
+    const { rows } = await pool.query(
+      `INSERT INTO student_documents (
+        registration_number, document_type, file_url, 
+        file_name, file_size, uploaded_at
+      ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        registrationNumber, 
+        documentType, 
+        fileUrl,
+        file.name, 
+        file.size, 
+        new Date().toISOString()
+      ]
+    )
+
+    if (rows.length === 0) {
+      // If database insert fails, clean up the uploaded file
+      if (storageMethod === 'supabase') {
+        try {
+          await supabase.storage
+            .from('student-documents')
+            .remove([fileName])
+        } catch (cleanupError) {
+          console.warn('Failed to cleanup Supabase file after DB error:', cleanupError.message)
+        }
+      } else if (storageMethod === 'local') {
+        try {
+          const localPath = path.join(process.cwd(), 'uploads', fileName)
+          await fs.unlink(localPath)
+        } catch (cleanupError) {
+          console.warn('Failed to cleanup local file after DB error:', cleanupError.message)
+        }
+      }
+      
+      throw new Error('Database insertion failed')
+    }
+
+    console.log(`File uploaded successfully using ${storageMethod} storage`)
+
+    if (c) {
+      await recordAudit(c, {
+        action: 'document.upload',
+        registrationNumber,
+        after: rows[0],
+        details: { document_type: documentType, storage: storageMethod }
+      })
+    }
+
+    return {
+      success: true,
+      data: {
+        id: rows[0].id,
+        registrationNumber,
+        documentType,
+        fileUrl,
+        fileName: file.name,
+        fileSize: file.size,
+        uploadedAt: rows[0].uploaded_at,
+        storageMethod
+      }
+    }
+  } catch (error) {
+    console.error('File upload error:', error)
+    throw error
+  }
+}
+
+// Helper function to save files locally
+async function saveFileLocally(file, fileName) {
+  try {
+    // Create uploads directory structure
+    const uploadsDir = path.join(process.cwd(), 'uploads')
+    const documentDir = path.dirname(path.join(uploadsDir, fileName))
+    
+    // Ensure directory exists
+    await fs.mkdir(documentDir, { recursive: true })
+    
+    // Convert file to buffer and save
+    const fileBuffer = await file.arrayBuffer()
+    const uint8Array = new Uint8Array(fileBuffer)
+    const filePath = path.join(uploadsDir, fileName)
+    
+    await fs.writeFile(filePath, uint8Array)
+    
+    // Return a URL that can be served by the application
+    return `/uploads/${fileName}`
+  } catch (error) {
+    console.error('Local file save error:', error)
+    throw new Error(`Local storage failed: ${error.message}`)
+  }
+}
+
+// Exam Card upload route with flexible FormData handling
+app.post('/exam-card', requireAdmin(ROLES.EXAMS), async (c) => {
+  try {
+    console.log('Exam card upload request received')
+    
+    // Get content type for debugging
+    const contentType = c.req.header('content-type') || ''
+    console.log('Content-Type:', contentType)
+    
+    // Try to parse FormData with error handling
+    let formData
+    try {
+      formData = await c.req.formData()
+      console.log('FormData parsed successfully')
+      console.log('Form fields:', [...formData.keys()])
+    } catch (formError) {
+      console.error('FormData parsing error:', formError)
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData. Please ensure you are sending valid multipart/form-data.',
+        contentType: contentType
+      }, 400)
+    }
+    
+    // Extract fields with flexible field name matching
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber') ||
+                            formData.get('reg_number')
+    
+    let file = formData.get('file') || 
+               formData.get('examCard') || 
+               formData.get('exam_card') ||
+               formData.get('document')
+    
+    console.log('Extracted fields:', {
+      registrationNumber: registrationNumber ? 'present' : 'missing',
+      file: file ? `present (${file.name}, ${file.size} bytes)` : 'missing',
+      allFields: [...formData.keys()]
+    })
+    
+    // Validate required fields
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        details: 'Please provide registrationNumber field in FormData',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File)) {
+      return c.json({
+        error: 'File is required',
+        details: 'Please provide a valid file in FormData',
+        receivedFields: [...formData.keys()],
+        fileType: file ? typeof file : 'undefined'
+      }, 400)
+    }
+    
+    // Validate file size (max 10MB)
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({
+        error: 'File size must be less than 10MB',
+        actualSize: `${(file.size / 1024 / 1024).toFixed(2)}MB`
+      }, 400)
+    }
+    
+    // Validate file size (min 1KB)
+    if (file.size < 1024) {
+      return c.json({
+        error: 'File appears to be empty or too small',
+        actualSize: `${file.size} bytes`
+      }, 400)
+    }
+    
+    // No exam cards for students who have finished their studies
+    const { rows: studentRows } = await pool.query(
+      'SELECT registration_number, status FROM students WHERE registration_number = $1',
+      [registrationNumber.trim()]
+    )
+    const finished = finishedStudentResponse(c, studentRows[0], 'the exam card')
+    if (finished) return finished
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'exam-card', c)
+    
+    return c.json({
+      message: 'Exam card uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Exam card upload error:', error)
+    return c.json({
+      error: 'Failed to upload exam card',
+      details: error instanceof Error ? error.message : 'Unknown error',
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, 500)
+  }
+})
+
+// Fees Structure upload route with flexible FormData handling
+app.post('/fees-structure', requireAdmin(ROLES.FINANCE), async (c) => {
+  try {
+    console.log('Fees structure upload request received')
+    
+    let formData
+    try {
+      formData = await c.req.formData()
+      console.log('FormData parsed successfully for fees-structure')
+    } catch (formError) {
+      console.error('FormData parsing error:', formError)
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData'
+      }, 400)
+    }
+    
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber')
+    
+    let file = formData.get('file') || 
+               formData.get('feesStructure') || 
+               formData.get('fees_structure') ||
+               formData.get('document')
+    
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File) || file.size === 0) {
+      return c.json({
+        error: 'Valid file is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    }
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-structure', c)
+    
+    return c.json({
+      message: 'Fees structure uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Fees structure upload error:', error)
+    return c.json({
+      error: 'Failed to upload fees structure',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Fees Statement upload route with flexible FormData handling
+app.post('/fees-statement', requireAdmin(ROLES.FINANCE), async (c) => {
+  try {
+    console.log('Fees statement upload request received')
+    
+    let formData
+    try {
+      formData = await c.req.formData()
+    } catch (formError) {
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData'
+      }, 400)
+    }
+    
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber')
+    
+    let file = formData.get('file') || 
+               formData.get('feesStatement') || 
+               formData.get('fees_statement') ||
+               formData.get('document')
+    
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File) || file.size === 0) {
+      return c.json({
+        error: 'Valid file is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    }
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-statement', c)
+    
+    return c.json({
+      message: 'Fees statement uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Fees statement upload error:', error)
+    return c.json({
+      error: 'Failed to upload fees statement',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Fees Receipt upload route with flexible FormData handling
+app.post('/fees-receipt', requireAdmin(ROLES.FINANCE), async (c) => {
+  try {
+    console.log('Fees receipt upload request received')
+    
+    let formData
+    try {
+      formData = await c.req.formData()
+    } catch (formError) {
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData'
+      }, 400)
+    }
+    
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber')
+    
+    let file = formData.get('file') || 
+               formData.get('feesReceipt') || 
+               formData.get('fees_receipt') ||
+               formData.get('document')
+    
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File) || file.size === 0) {
+      return c.json({
+        error: 'Valid file is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    }
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-receipt', c)
+    
+    return c.json({
+      message: 'Fees receipt uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Fees receipt upload error:', error)
+    return c.json({
+      error: 'Failed to upload fees receipt',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Results upload route with flexible FormData handling
+app.post('/results', requireAdmin(ROLES.EXAMS), async (c) => {
+  try {
+    console.log('Results upload request received')
+    
+    let formData
+    try {
+      formData = await c.req.formData()
+    } catch (formError) {
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData'
+      }, 400)
+    }
+    
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber')
+    
+    let file = formData.get('file') || 
+               formData.get('results') || 
+               formData.get('result') ||
+               formData.get('document')
+    
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File) || file.size === 0) {
+      return c.json({
+        error: 'Valid file is required',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    }
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'results', c)
+    
+    return c.json({
+      message: 'Results uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Results upload error:', error)
+    return c.json({
+      error: 'Failed to upload results',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Timetable upload route with flexible FormData handling
+app.post('/timetable', requireAdmin(ROLES.EXAMS), async (c) => {
+  try {
+    console.log('Timetable upload request received')
+    
+    // Get content type for debugging
+    const contentType = c.req.header('content-type') || ''
+    console.log('Content-Type:', contentType)
+    console.log('Request headers:', Object.fromEntries(c.req.raw.headers.entries()))
+    
+    let formData
+    try {
+      formData = await c.req.formData()
+      console.log('FormData parsed successfully for timetable')
+      console.log('Form fields:', [...formData.keys()])
+    } catch (formError) {
+      console.error('FormData parsing error details:', formError)
+      
+      // Try to get the raw body for debugging
+      try {
+        const rawBody = await c.req.text()
+        console.log('Raw body preview (first 500 chars):', rawBody.substring(0, 500))
+        console.log('Raw body type:', typeof rawBody)
+        console.log('Raw body length:', rawBody.length)
+        
+        // Check if the body looks like valid multipart data
+        const hasFormDataMarkers = rawBody.includes('Content-Disposition') && rawBody.includes('form-data')
+        console.log('Body appears to be FormData:', hasFormDataMarkers)
+        
+        // If it looks like FormData but failed to parse, might be a boundary issue
+        if (hasFormDataMarkers && !contentType.includes('boundary=')) {
+          console.log('WARNING: Body appears to be FormData but Content-Type missing boundary')
+        }
+      } catch (bodyError) {
+        console.error('Could not read raw body:', bodyError)
+      }
+      
+      return c.json({
+        error: 'Malformed FormData request',
+        details: 'Failed to parse body as FormData',
+        contentType: contentType,
+        formError: formError.message,
+        help: 'Ensure you are sending a valid multipart/form-data request with proper boundary',
+        debug: {
+          hasContentType: !!contentType,
+          isMultipart: contentType.includes('multipart/form-data'),
+          hasBoundary: contentType.includes('boundary='),
+          userAgent: c.req.header('user-agent') || 'Not provided',
+          contentLength: c.req.header('content-length') || 'Not provided'
+        }
+      }, 400)
+    }
+    
+    let registrationNumber = formData.get('registrationNumber') || 
+                            formData.get('registration_number') || 
+                            formData.get('regNumber')
+    
+    let file = formData.get('file') || 
+               formData.get('timetable') || 
+               formData.get('schedule') ||
+               formData.get('document')
+    
+    console.log('Extracted fields:', {
+      registrationNumber: registrationNumber ? 'present' : 'missing',
+      file: file ? `present (${file.name}, ${file.size} bytes)` : 'missing',
+      allFields: [...formData.keys()]
+    })
+    
+    if (!registrationNumber || typeof registrationNumber !== 'string') {
+      return c.json({
+        error: 'Registration number is required',
+        details: 'Please provide registrationNumber field in FormData',
+        receivedFields: [...formData.keys()]
+      }, 400)
+    }
+    
+    if (!file || !(file instanceof File) || file.size === 0) {
+      return c.json({
+        error: 'Valid file is required',
+        details: 'Please provide a valid file in FormData',
+        receivedFields: [...formData.keys()],
+        fileType: file ? typeof file : 'undefined'
+      }, 400)
+    }
+    
+    if (file.size > 10 * 1024 * 1024) {
+      return c.json({
+        error: 'File size must be less than 10MB',
+        actualSize: `${(file.size / 1024 / 1024).toFixed(2)}MB`
+      }, 400)
+    }
+    
+    // Validate file size (min 1KB)
+    if (file.size < 1024) {
+      return c.json({
+        error: 'File appears to be empty or too small',
+        actualSize: `${file.size} bytes`
+      }, 400)
+    }
+    
+    const result = await handleFileUpload(registrationNumber.trim(), file, 'timetable', c)
+    
+    return c.json({
+      message: 'Timetable uploaded successfully',
+      ...result
+    }, 201)
+  } catch (error) {
+    console.error('Timetable upload error:', error)
+    return c.json({
+      error: 'Failed to upload timetable',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Register unit for student endpoint
+app.post('/units/register', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const body = await c.req.json();
+    console.log('Unit registration request:', body);
+    
+    const { student_reg, unit_name, unit_code, status = 'active' } = body;
+    
+    if (!student_reg || !unit_name || !unit_code) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'Student registration number, unit name, and unit code are required' 
+      }, 400);
+    }
+
+    // First, find the student by registration number
+    const { rows: studentRows } = await pool.query(
+      'SELECT id, registration_number, status FROM students WHERE registration_number = $1',
+      [student_reg]
+    );
+    
+    if (studentRows.length === 0) {
+      return c.json({ 
+        error: 'Student not found', 
+        details: 'No student found with the provided registration number' 
+      }, 404);
+    }
+    
+    const finished = finishedStudentResponse(c, studentRows[0], 'unit registration');
+    if (finished) return finished;
+    
+    const student_id = studentRows[0].id;
+
+    // Check if the unit exists in the units table, if not create it
+    let { rows: unitRows } = await pool.query(
+      'SELECT id FROM units WHERE unit_code = $1',
+      [unit_code]
+    );
+    
+    if (unitRows.length === 0) {
+      // Create the unit if it doesn't exist
+      await pool.query(
+        'INSERT INTO units (unit_name, unit_code) VALUES ($1, $2)',
+        [unit_name, unit_code]
+      );
+    }
+
+    // Check if the student is already registered for this unit in registered_units table
+    const { rows: existingRows } = await pool.query(
+      'SELECT id FROM registered_units WHERE student_id = $1 AND unit_code = $2',
+      [student_id, unit_code]
+    );
+    
+    if (existingRows.length > 0) {
+      return c.json({ 
+        error: 'Unit already registered', 
+        details: 'Student is already registered for this unit' 
+      }, 409);
+    }
+
+    // Register the unit for the student
+    const { rows } = await pool.query(
+      'INSERT INTO registered_units (student_id, unit_name, unit_code, status) VALUES ($1, $2, $3, $4) RETURNING *',
+      [student_id, unit_name, unit_code, status]
+    );
+    
+    if (rows.length === 0) {
+      throw new Error('Failed to register unit');
+    }
+    
+    await recordAudit(c, {
+      action: 'unit.register',
+      studentId: student_id,
+      registrationNumber: student_reg,
+      after: rows[0]
+    });
+    
+    return c.json({ 
+      message: 'Unit registered successfully for student',
+      registered_unit: rows[0],
+      student_registration: student_reg
+    });
+  } catch (error) {
+    console.error('Error registering unit:', error);
+    return c.json({ 
+      error: 'Failed to register unit', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Health check route
+app.get('/health', (c) => {
+  return c.json({ status: 'OK', message: 'File upload service is running' })
+})
+
+// Get documents for a student
+app.on('GET', regNumberPaths('/documents'), requireStudentOrAdmin(), resolveRegistrationNumber(), async (c) => {
+  try {
+    const registrationNumber = c.get('registrationNumber')
+    
+    const { rows } = await pool.query(
+      `SELECT * FROM student_documents 
+       WHERE registration_number = $1 
+       ORDER BY uploaded_at DESC`,
+      [registrationNumber]
+    )
+
+    return c.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    })
+  } catch (error) {
+    console.error('Get documents error:', error)
+    return c.json({
+      error: 'Failed to retrieve documents',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Get documents for a student by student ID
+app.get('/students/:id/documents', requireStudentOrAdmin(), async (c) => {
+  try {
+    const studentId = c.req.param('id')
+    console.log('Fetching documents for student ID:', studentId)
+    
+    // First get the student's registration number
+    const { rows: studentRows } = await pool.query(
+      'SELECT registration_number FROM students WHERE id = $1',
+      [studentId]
+    )
+    
+    if (studentRows.length === 0) {
+      return c.json({ 
+        error: 'Student not found',
+        details: 'No student found with the provided ID'
+      }, 404)
+    }
+    
+    const registrationNumber = studentRows[0].registration_number
+    
+    // Get all documents for this student
+    const { rows } = await pool.query(
+      `SELECT * FROM student_documents 
+       WHERE registration_number = $1 
+       ORDER BY uploaded_at DESC`,
+      [registrationNumber]
+    )
+
+    return c.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      student_id: studentId,
+      registration_number: registrationNumber
+    })
+  } catch (error) {
+    console.error('Get student documents error:', error)
+    return c.json({
+      error: 'Failed to retrieve student documents',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// Get documents for a student by student ID
+app.get('/students/:id/documents', requireStudentOrAdmin(), async (c) => {
+  try {
+    const studentId = c.req.param('id')
+    console.log('Fetching documents for student ID:', studentId)
+    
+    // First get the student's registration number
+    const { rows: studentRows } = await pool.query(
+      'SELECT registration_number FROM students WHERE id = $1',
+      [studentId]
+    )
+    
+    if (studentRows.length === 0) {
+      return c.json({ 
+        error: 'Student not found',
+        details: 'No student found with the provided ID'
+      }, 404)
+    }
+    
+    const registrationNumber = studentRows[0].registration_number
+    
+    // Get all documents for this student
+    const { rows } = await pool.query(
+      `SELECT * FROM student_documents 
+       WHERE registration_number = $1 
+       ORDER BY uploaded_at DESC`,
+      [registrationNumber]
+    )
+
+    return c.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      student_id: studentId,
+      registration_number: registrationNumber
+    })
+  } catch (error) {
+    console.error('Get student documents error:', error)
+    return c.json({
+      error: 'Failed to retrieve student documents',
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500)
+  }
+})
+
+// =============================================================================
+// END NEW UNIFIED DOCUMENT UPLOAD SYSTEM
+// =============================================================================
+
+// Serve static files from the public directory
+app.use('/*', serveStatic({ root: './public' }));
+
+// API health check endpoint
+app.get('/api/health', async (c) => {
+  const health = {
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: Date.now(),
+    environment: process.env.NODE_ENV || 'development'
+ 
+  };
+  
+  try {
+    // Test database connection
+    console.log('Testing database connection...');
+    const startTime = Date.now();
+    await pool.query('SELECT 1');
+    const duration = Date.now() - startTime;
+    
+    health.database = {
+      status: 'connected',
+      responseTime: `${duration}ms`
+    };
+    
+    return c.json({ 
+      ...health,
+      message: 'Student Portal Backend is running! Database connection is healthy.' 
+    });
+  } catch (error) {
+    console.error('Health check failed:', error);
+    
+    health.status = 'error';
+    health.database = {
+      status: 'disconnected',
+      error: error.message,
+      code: error.code || 'UNKNOWN'
+    };
+    
+    return c.json({ 
+      ...health,
+      message: 'Database connection failed!',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    }, 503);
+  }
+});
+
+// Request a password reset: emails a single-use reset token to the student
+app.post('/student/auth/forgot-password', async (c) => {
+  try {
+    const { registration_number, email } = await c.req.json();
+    
+    if (!registration_number || !email) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'Registration number and email are required' 
+      }, 400);
+    }
+    
+    // Same response whether or not the student exists, so the endpoint
+    // cannot be used to discover registration numbers or emails
+    const genericResponse = { 
+      message: 'If the registration number and email match our records, a password reset link has been sent to that email address' 
+    };
+    
+    const { rows } = await pool.query(
+      'SELECT id, name, registration_number, email FROM students WHERE registration_number = $1 AND LOWER(email) = LOWER($2)',
+      [registration_number, email]
+    );
+    
+    if (rows.length === 0) {
+      console.log('Password reset requested for unknown student/email combination:', registration_number);
+      return c.json(genericResponse);
+    }
+    
+    const student = rows[0];
+    const { token, tokenHash } = generateToken();
+    const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    
+    await sql.begin(async sql => {
+      // A new request supersedes any earlier unused token
+      await sql`
+        UPDATE password_reset_tokens SET used_at = now() 
+        WHERE student_id = ${student.id} AND used_at IS NULL
+      `;
+      await sql`
+        INSERT INTO password_reset_tokens (student_id, token_hash, expires_at, requested_ip) 
+        VALUES (${student.id}, ${tokenHash}, ${expiresAt}, ${getClientIp(c)})
+      `;
+    });
+    
+    const resetLink = process.env.PASSWORD_RESET_URL 
+      ? `${process.env.PASSWORD_RESET_URL}?token=${token}` 
+      : null;
+    
+    // A mail failure must not change the response, or it would reveal that the
+    // account exists; the student can simply request another reset
+    try {
+      await sendMail({
+        to: student.email,
+        subject: 'Student Portal password reset',
+        text: [
+          `Hello ${student.name},`,
+          '',
+          `A password reset was requested for registration number ${student.registration_number}.`,
+          resetLink ? `Reset your password here: ${resetLink}` : `Your password reset code is: ${token}`,
+          '',
+          `This ${resetLink ? 'link' : 'code'} expires in ${ttlMinutes} minutes and can only be used once.`,
+          'If you did not request a password reset, you can ignore this email.'
+        ].join('\n')
+      });
+    } catch (mailError) {
+      console.error(`Failed to send password reset email for ${student.registration_number}:`, mailError);
+    }
+    
+    return c.json(genericResponse);
+  } catch (error) {
+    console.error('Error in forgot password:', error);
+    return c.json({ error: 'Failed to process password reset' }, 500);
+  }
+});
 
-        if (uploadError) {
-          throw new Error(`Upload failed: ${uploadError.message}`)
-        }
+// Confirm a password reset: consumes the emailed token and sets the new password
+app.post('/student/auth/reset-password', async (c) => {
+  try {
+    const { token, new_password } = await c.req.json();
+    
+    if (!token || !new_password) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'Reset token and new password are required' 
+      }, 400);
+    }
+    
+    const tokenHash = hashToken(token);
+    const invalidTokenResponse = { 
+      error: 'Invalid or expired reset token', 
+      details: 'Please request a new password reset' 
+    };
+    
+    const { rows: tokenStudentRows } = await pool.query(
+      `SELECT s.national_id, s.birth_certificate 
+       FROM password_reset_tokens t 
+       JOIN students s ON s.id = t.student_id 
+       WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > now()`,
+      [tokenHash]
+    );
+    
+    if (tokenStudentRows.length === 0) {
+      return c.json(invalidTokenResponse, 400);
+    }
+    
+    const passwordErrors = validatePassword(new_password, {
+      disallowed: [tokenStudentRows[0].national_id, tokenStudentRows[0].birth_certificate]
+    });
+    if (passwordErrors.length > 0) {
+      return c.json({ 
+        error: 'Password does not meet requirements', 
+        details: passwordErrors 
+      }, 400);
+    }
+    
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+    let student = null;
+    
+    await sql.begin(async sql => {
+      // Claim the token atomically so it cannot be used twice
+      const tokenRows = await sql`
+        UPDATE password_reset_tokens SET used_at = now() 
+        WHERE token_hash = ${tokenHash} AND used_at IS NULL AND expires_at > now() 
+        RETURNING student_id
+      `;
+      
+      if (tokenRows.length === 0) return;
+      
+      const studentRows = await sql`
+        UPDATE students SET password = ${hashedPassword}, must_change_password = false 
+        WHERE id = ${tokenRows[0].student_id} 
+        RETURNING id, registration_number
+      `;
+      student = studentRows[0];
+    });
+    
+    if (!student) {
+      return c.json(invalidTokenResponse, 400);
+    }
+    
+    // Anyone holding a session from before the reset is logged out
+    await revokeAccountSessions({ accountType: 'student', accountId: student.id, reason: 'password_reset' });
+    
+    return c.json({ 
+      message: 'Password reset successful', 
+      registration_number: student.registration_number 
+    });
+  } catch (error) {
+    console.error('Error resetting student password:', error);
+    return c.json({ 
+      error: 'Failed to reset password', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-        // Get public URL
-        const { data: urlData } = supabase.storage
-          .from('student-documents')
-          .getPublicUrl(fileName)
+// Student login endpoint
+app.post('/auth/student-login', async (c) => {
+  try {
+    const body = await c.req.json();
+    console.log('Student login attempt:', { registration_number: body.registration_number });
+    
+    const { registration_number, password } = body;
+    
+    if (!registration_number || !password) {
+      return c.json({ error: 'Registration number and password required' }, 400);
+    }
 
-        fileUrl = urlData.publicUrl
-        storageMethod = 'supabase'
-        console.log('Successfully uploaded to Supabase')
+    const attempt = {
+      accountType: 'student',
+      identifier: registration_number,
+      ip: getClientIp(c),
+      userAgent: c.req.header('user-agent')
+    };
+    
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      c.header('Retry-After', String(throttle.retryAfter));
+      return c.json({ error: throttle.error, details: throttle.details }, throttle.status);
+    }
 
-      } catch (supabaseError) {
-        console.warn('Supabase upload failed, falling back to local storage:', supabaseError.message)
-        fileUrl = await saveFileLocally(file, fileName)
-        storageMethod = 'local'
-      }
-    } else {
-      console.log('Supabase not configured, using local storage')
-      fileUrl = await saveFileLocally(file, fileName)
-      storageMethod = 'local'
+    const { rows } = await pool.query('SELECT * FROM students WHERE registration_number = $1', [registration_number]);
+    if (rows.length === 0) {
+      await recordLoginFailure({ ...attempt, reason: 'unknown_account' });
+      return c.json({ error: 'Invalid credentials' }, 401);
+    }
+    
+    const student = rows[0];
+    let isAuthenticated = false;
+    
+    // First try bcrypt compare (for hashed passwords)
+    try {
+      isAuthenticated = await bcrypt.compare(password, student.password);
+    } catch (err) {
+      console.log('bcrypt compare failed, might be plain text password:', err.message);
+      // If bcrypt compare fails, it might be a plain text password
+      isAuthenticated = (password === student.password);
+    }
+    
+    if (!isAuthenticated) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_password' });
+      return c.json({ error: 'Invalid credentials' }, 401);
+    }
+    
+    await recordLoginSuccess(attempt);
+    
+    // If login successful with plain text password, update to hashed version
+    if (password === student.password) {
+      console.log('Updating plain text password to hashed version');
+      const hashedPassword = await bcrypt.hash(password, 10);
+      await pool.query(
+        'UPDATE students SET password = $1 WHERE id = $2',
+        [hashedPassword, student.id]
+      );
+    }
+    
+    // Catch default (ID-based) passwords that were hashed before the flag existed
+    let mustChangePassword = !!student.must_change_password;
+    if (!mustChangePassword && (password === student.national_id || password === student.birth_certificate)) {
+      mustChangePassword = true;
+      await pool.query(
+        'UPDATE students SET must_change_password = true WHERE id = $1',
+        [student.id]
+      );
     }
+    
+    const session = await createSession({
+      accountType: 'student',
+      account: student,
+      ip: attempt.ip,
+      userAgent: attempt.userAgent
+    });
+    
+    return c.json({ 
+      token: session.token, 
+      refresh_token: session.refresh_token,
+      refresh_expires_at: session.refresh_expires_at,
+      student_id: student.id,
+      registration_number: student.registration_number,
+      name: student.name,
+      must_change_password: mustChangePassword
+    });
+  } catch (error) {
+    console.error('Student login error:', error);
+    return c.json({ 
+      error: 'Server error during login', 
+      details: error.message,
+      stack: error.stack 
+    }, 500);
+  }
+});
 
-    // Insert record into database
+// Change password for the logged-in student (also clears the default-password flag)
+app.post('/student/auth/change-password', requireStudent(), async (c) => {
+  try {
+    const { student_id } = c.get('student');
+    const { old_password, new_password } = await c.req.json();
+    
+    if (!old_password || !new_password) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'Old password and new password are required' 
+      }, 400);
+    }
+    
     const { rows } = await pool.query(
-      `INSERT INTO student_documents (
-        registration_number, document_type, file_url, 
-        file_name, file_size, uploaded_at
-      ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [
-        registrationNumber, 
-        documentType, 
-        fileUrl,
-        file.name, 
-        file.size, 
-        new Date().toISOString()
-      ]
-    )
-
+      'SELECT id, password, national_id, birth_certificate FROM students WHERE id = $1',
+      [student_id]
+    );
+    
     if (rows.length === 0) {
-      // If database insert fails, clean up the uploaded file
-      if (storageMethod === 'supabase') {
-        try {
-          await supabase.storage
-            .from('student-documents')
-            .remove([fileName])
-        } catch (cleanupError) {
-          console.warn('Failed to cleanup Supabase file after DB error:', cleanupError.message)
-        }
-      } else if (storageMethod === 'local') {
-        try {
-          const localPath = path.join(process.cwd(), 'uploads', fileName)
-          await fs.unlink(localPath)
-        } catch (cleanupError) {
-          console.warn('Failed to cleanup local file after DB error:', cleanupError.message)
-        }
-      }
-      
-      throw new Error('Database insertion failed')
+      return c.json({ error: 'Student not found' }, 404);
     }
-
-    console.log(`File uploaded successfully using ${storageMethod} storage`)
-
-    return {
-      success: true,
-      data: {
-        id: rows[0].id,
-        registrationNumber,
-        documentType,
-        fileUrl,
-        fileName: file.name,
-        fileSize: file.size,
-        uploadedAt: rows[0].uploaded_at,
-        storageMethod
-      }
+    
+    const student = rows[0];
+    
+    // Stored password may still be plain text if it was never hashed
+    let oldPasswordMatches = false;
+    try {
+      oldPasswordMatches = await bcrypt.compare(old_password, student.password);
+    } catch (err) {
+      oldPasswordMatches = false;
+    }
+    if (!oldPasswordMatches && old_password === student.password) {
+      oldPasswordMatches = true;
+    }
+    
+    if (!oldPasswordMatches) {
+      return c.json({ error: 'Current password is incorrect' }, 401);
+    }
+    
+    if (old_password === new_password) {
+      return c.json({ 
+        error: 'Password does not meet requirements', 
+        details: ['New password must be different from the current password'] 
+      }, 400);
+    }
+    
+    const passwordErrors = validatePassword(new_password, {
+      disallowed: [student.national_id, student.birth_certificate]
+    });
+    if (passwordErrors.length > 0) {
+      return c.json({ 
+        error: 'Password does not meet requirements', 
+        details: passwordErrors 
+      }, 400);
     }
+    
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+    await pool.query(
+      'UPDATE students SET password = $1, must_change_password = false WHERE id = $2',
+      [hashedPassword, student.id]
+    );
+    
+    return c.json({ 
+      message: 'Password changed successfully',
+      must_change_password: false
+    });
   } catch (error) {
-    console.error('File upload error:', error)
-    throw error
+    console.error('Error changing student password:', error);
+    return c.json({ 
+      error: 'Failed to change password', 
+      details: error.message 
+    }, 500);
   }
-}
+});
 
-// Helper function to save files locally
-async function saveFileLocally(file, fileName) {
+// Admin login endpoint
+app.post('/auth/admin-login', async (c) => {
   try {
-    // Create uploads directory structure
-    const uploadsDir = path.join(process.cwd(), 'uploads')
-    const documentDir = path.dirname(path.join(uploadsDir, fileName))
+    const body = await c.req.json();
+    console.log('Admin login attempt:', { username: body.username });
     
-    // Ensure directory exists
-    await fs.mkdir(documentDir, { recursive: true })
+    const { username, password } = body;
     
-    // Convert file to buffer and save
-    const fileBuffer = await file.arrayBuffer()
-    const uint8Array = new Uint8Array(fileBuffer)
-    const filePath = path.join(uploadsDir, fileName)
+    if (!username || !password) {
+      return c.json({ error: 'Username and password required' }, 400);
+    }
+
+    const attempt = {
+      accountType: 'admin',
+      identifier: username,
+      ip: getClientIp(c),
+      userAgent: c.req.header('user-agent')
+    };
+    
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      c.header('Retry-After', String(throttle.retryAfter));
+      return c.json({ error: throttle.error, details: throttle.details }, throttle.status);
+    }
+
+    const { rows } = await pool.query('SELECT * FROM admins WHERE username = $1', [username]);
+    if (rows.length === 0) {
+      await recordLoginFailure({ ...attempt, reason: 'unknown_account' });
+      return c.json({ error: 'Invalid credentials' }, 401);
+    }
+    
+    const admin = rows[0];
+    
+    // Compare password with hash
+    const isAuthenticated = await bcrypt.compare(password, admin.password_hash);
+    
+    if (!isAuthenticated) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_password' });
+      return c.json({ error: 'Invalid credentials' }, 401);
+    }
+    
+    if (!admin.is_active) {
+      await recordLoginFailure({ ...attempt, reason: 'account_deactivated' });
+      return c.json({ 
+        error: 'Account deactivated', 
+        details: 'Contact a super-admin to reactivate your account' 
+      }, 403);
+    }
     
-    await fs.writeFile(filePath, uint8Array)
+    // With 2FA the password alone does not clear failed attempts; the
+    // short-lived challenge token is exchanged at /auth/admin-login/verify-2fa
+    if (admin.totp_enabled) {
+      const challengeToken = jwt.sign(
+        { admin_id: admin.id, username: admin.username, type: 'admin-2fa' }, 
+        process.env.SECRET_KEY, 
+        { expiresIn: '5m' }
+      );
+      
+      return c.json({
+        two_factor_required: true,
+        challenge_token: challengeToken,
+        expires_in: 300,
+        username: admin.username
+      });
+    }
     
-    // Return a URL that can be served by the application
-    return `/uploads/${fileName}`
+    return await issueAdminSession(c, admin, attempt);
   } catch (error) {
-    console.error('Local file save error:', error)
-    throw new Error(`Local storage failed: ${error.message}`)
+    console.error('Admin login error:', error);
+    return c.json({ 
+      error: 'Server error during admin login', 
+      details: error.message
+    }, 500);
   }
+});
+
+// Complete an admin login (after the password and, if enabled, the 2FA code were verified)
+async function issueAdminSession(c, admin, attempt) {
+  await recordLoginSuccess(attempt);
+  
+  const session = await createSession({
+    accountType: 'admin',
+    account: admin,
+    ip: attempt.ip,
+    userAgent: attempt.userAgent
+  });
+  
+  return c.json({ 
+    token: session.token, 
+    refresh_token: session.refresh_token,
+    refresh_expires_at: session.refresh_expires_at,
+    adminId: admin.id,
+    username: admin.username,
+    roles: admin.roles || []
+  });
 }
 
-// Exam Card upload route with flexible FormData handling
-app.post('/exam-card', async (c) => {
+// Second step of admin login when two-factor authentication is enabled
+app.post('/auth/admin-login/verify-2fa', async (c) => {
   try {
-    console.log('Exam card upload request received')
+    const { challenge_token, code, recovery_code } = await c.req.json();
     
-    // Get content type for debugging
-    const contentType = c.req.header('content-type') || ''
-    console.log('Content-Type:', contentType)
+    if (!challenge_token || (!code && !recovery_code)) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'challenge_token and either code or recovery_code are required' 
+      }, 400);
+    }
     
-    // Try to parse FormData with error handling
-    let formData
+    let challenge;
     try {
-      formData = await c.req.formData()
-      console.log('FormData parsed successfully')
-      console.log('Form fields:', [...formData.keys()])
-    } catch (formError) {
-      console.error('FormData parsing error:', formError)
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData. Please ensure you are sending valid multipart/form-data.',
-        contentType: contentType
-      }, 400)
+      challenge = jwt.verify(challenge_token, process.env.SECRET_KEY);
+    } catch (tokenError) {
+      return c.json({ 
+        error: 'Invalid or expired challenge', 
+        details: 'Please log in again' 
+      }, 401);
     }
     
-    // Extract fields with flexible field name matching
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber') ||
-                            formData.get('reg_number')
-    
-    let file = formData.get('file') || 
-               formData.get('examCard') || 
-               formData.get('exam_card') ||
-               formData.get('document')
+    if (challenge.type !== 'admin-2fa') {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
     
-    console.log('Extracted fields:', {
-      registrationNumber: registrationNumber ? 'present' : 'missing',
-      file: file ? `present (${file.name}, ${file.size} bytes)` : 'missing',
-      allFields: [...formData.keys()]
-    })
+    const attempt = {
+      accountType: 'admin',
+      identifier: challenge.username,
+      ip: getClientIp(c),
+      userAgent: c.req.header('user-agent')
+    };
     
-    // Validate required fields
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        details: 'Please provide registrationNumber field in FormData',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    const throttle = await checkLoginAllowed(attempt);
+    if (!throttle.allowed) {
+      c.header('Retry-After', String(throttle.retryAfter));
+      return c.json({ error: throttle.error, details: throttle.details }, throttle.status);
     }
     
-    if (!file || !(file instanceof File)) {
-      return c.json({
-        error: 'File is required',
-        details: 'Please provide a valid file in FormData',
-        receivedFields: [...formData.keys()],
-        fileType: file ? typeof file : 'undefined'
-      }, 400)
+    const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [challenge.admin_id]);
+    if (rows.length === 0 || !rows[0].is_active || !rows[0].totp_enabled) {
+      return c.json({ 
+        error: 'Invalid or expired challenge', 
+        details: 'Please log in again' 
+      }, 401);
     }
     
-    // Validate file size (max 10MB)
-    if (file.size > 10 * 1024 * 1024) {
-      return c.json({
-        error: 'File size must be less than 10MB',
-        actualSize: `${(file.size / 1024 / 1024).toFixed(2)}MB`
-      }, 400)
+    const admin = rows[0];
+    const method = await verifySecondFactor(admin, { code, recoveryCode: recovery_code });
+    
+    if (!method) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_2fa_code' });
+      return c.json({ error: 'Invalid authentication code' }, 401);
     }
     
-    // Validate file size (min 1KB)
-    if (file.size < 1024) {
-      return c.json({
-        error: 'File appears to be empty or too small',
-        actualSize: `${file.size} bytes`
-      }, 400)
+    if (method === 'recovery_code') {
+      const remaining = await countUnusedRecoveryCodes(admin.id);
+      console.warn(`Admin ${admin.username} logged in with a recovery code (${remaining} remaining)`);
     }
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'exam-card')
+    return await issueAdminSession(c, admin, attempt);
+  } catch (error) {
+    console.error('Admin 2FA verification error:', error);
+    return c.json({ 
+      error: 'Server error during admin login', 
+      details: error.message
+    }, 500);
+  }
+});
+
+// Two-factor status of the logged-in admin
+app.get('/admin/2fa', requireAdmin(), async (c) => {
+  try {
+    const admin = c.get('admin');
+    const { rows } = await pool.query(
+      'SELECT totp_enabled, totp_enabled_at FROM admins WHERE id = $1',
+      [admin.id]
+    );
     
     return c.json({
-      message: 'Exam card uploaded successfully',
-      ...result
-    }, 201)
+      enabled: rows[0].totp_enabled,
+      enabled_at: rows[0].totp_enabled_at,
+      recovery_codes_remaining: rows[0].totp_enabled ? await countUnusedRecoveryCodes(admin.id) : 0
+    });
   } catch (error) {
-    console.error('Exam card upload error:', error)
-    return c.json({
-      error: 'Failed to upload exam card',
-      details: error instanceof Error ? error.message : 'Unknown error',
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    }, 500)
+    console.error('Error fetching 2FA status:', error);
+    return c.json({ 
+      error: 'Failed to fetch two-factor status', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Fees Structure upload route with flexible FormData handling
-app.post('/fees-structure', async (c) => {
+// Start TOTP enrolment: generates a secret to add to an authenticator app
+app.post('/admin/2fa/setup', requireAdmin(), async (c) => {
   try {
-    console.log('Fees structure upload request received')
-    
-    let formData
-    try {
-      formData = await c.req.formData()
-      console.log('FormData parsed successfully for fees-structure')
-    } catch (formError) {
-      console.error('FormData parsing error:', formError)
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData'
-      }, 400)
-    }
-    
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber')
-    
-    let file = formData.get('file') || 
-               formData.get('feesStructure') || 
-               formData.get('fees_structure') ||
-               formData.get('document')
-    
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
-    }
-    
-    if (!file || !(file instanceof File) || file.size === 0) {
-      return c.json({
-        error: 'Valid file is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
-    }
+    const admin = c.get('admin');
+    const { rows } = await pool.query('SELECT totp_enabled FROM admins WHERE id = $1', [admin.id]);
     
-    if (file.size > 10 * 1024 * 1024) {
-      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    if (rows[0].totp_enabled) {
+      return c.json({ 
+        error: 'Two-factor authentication already enabled', 
+        details: 'Disable it first to enrol a new authenticator' 
+      }, 409);
     }
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-structure')
+    const secret = generateTotpSecret();
+    await pool.query(
+      'UPDATE admins SET totp_secret = $1, totp_last_used_step = NULL WHERE id = $2',
+      [secret, admin.id]
+    );
     
     return c.json({
-      message: 'Fees structure uploaded successfully',
-      ...result
-    }, 201)
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        accountName: admin.username,
+        issuer: process.env.TOTP_ISSUER || 'Student Portal'
+      })
+    });
   } catch (error) {
-    console.error('Fees structure upload error:', error)
-    return c.json({
-      error: 'Failed to upload fees structure',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error starting 2FA setup:', error);
+    return c.json({ 
+      error: 'Failed to start two-factor setup', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Fees Statement upload route with flexible FormData handling
-app.post('/fees-statement', async (c) => {
+// Finish TOTP enrolment with a code from the app; returns one-time recovery codes
+app.post('/admin/2fa/enable', requireAdmin(), async (c) => {
   try {
-    console.log('Fees statement upload request received')
+    const admin = c.get('admin');
+    const { code } = await c.req.json();
     
-    let formData
-    try {
-      formData = await c.req.formData()
-    } catch (formError) {
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData'
-      }, 400)
+    if (!code) {
+      return c.json({ error: 'Authentication code is required' }, 400);
     }
     
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber')
-    
-    let file = formData.get('file') || 
-               formData.get('feesStatement') || 
-               formData.get('fees_statement') ||
-               formData.get('document')
+    const { rows } = await pool.query(
+      'SELECT id, totp_secret, totp_enabled, totp_last_used_step FROM admins WHERE id = $1',
+      [admin.id]
+    );
     
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    if (rows[0].totp_enabled) {
+      return c.json({ error: 'Two-factor authentication already enabled' }, 409);
     }
     
-    if (!file || !(file instanceof File) || file.size === 0) {
-      return c.json({
-        error: 'Valid file is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    if (!rows[0].totp_secret) {
+      return c.json({ 
+        error: 'Two-factor setup not started', 
+        details: 'Call POST /admin/2fa/setup first' 
+      }, 400);
     }
     
-    if (file.size > 10 * 1024 * 1024) {
-      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    const method = await verifySecondFactor(rows[0], { code });
+    if (!method) {
+      return c.json({ error: 'Invalid authentication code' }, 400);
     }
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-statement')
+    await pool.query(
+      'UPDATE admins SET totp_enabled = true, totp_enabled_at = now() WHERE id = $1',
+      [admin.id]
+    );
+    const recoveryCodes = await replaceRecoveryCodes(admin.id);
+    
+    console.log(`Admin ${admin.username} enabled two-factor authentication`);
     
     return c.json({
-      message: 'Fees statement uploaded successfully',
-      ...result
-    }, 201)
+      message: 'Two-factor authentication enabled',
+      recovery_codes: recoveryCodes,
+      note: 'Store these recovery codes somewhere safe. Each can be used once if you lose your authenticator.'
+    });
   } catch (error) {
-    console.error('Fees statement upload error:', error)
-    return c.json({
-      error: 'Failed to upload fees statement',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error enabling 2FA:', error);
+    return c.json({ 
+      error: 'Failed to enable two-factor authentication', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Fees Receipt upload route with flexible FormData handling
-app.post('/fees-receipt', async (c) => {
+// Disable 2FA (requires the password and a current code or recovery code)
+app.post('/admin/2fa/disable', requireAdmin(), async (c) => {
   try {
-    console.log('Fees receipt upload request received')
+    const admin = c.get('admin');
+    const { password, code, recovery_code } = await c.req.json();
     
-    let formData
-    try {
-      formData = await c.req.formData()
-    } catch (formError) {
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData'
-      }, 400)
+    if (!password || (!code && !recovery_code)) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'password and either code or recovery_code are required' 
+      }, 400);
     }
     
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber')
+    const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin.id]);
     
-    let file = formData.get('file') || 
-               formData.get('feesReceipt') || 
-               formData.get('fees_receipt') ||
-               formData.get('document')
+    if (!rows[0].totp_enabled) {
+      return c.json({ error: 'Two-factor authentication is not enabled' }, 400);
+    }
+    
+    const passwordMatches = await bcrypt.compare(password, rows[0].password_hash);
+    const method = passwordMatches 
+      ? await verifySecondFactor(rows[0], { code, recoveryCode: recovery_code }) 
+      : null;
+    
+    if (!method) {
+      return c.json({ error: 'Invalid password or authentication code' }, 401);
+    }
+    
+    await pool.query(
+      `UPDATE admins SET totp_enabled = false, totp_enabled_at = NULL, 
+         totp_secret = NULL, totp_last_used_step = NULL 
+       WHERE id = $1`,
+      [admin.id]
+    );
+    await pool.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [admin.id]);
+    
+    console.log(`Admin ${admin.username} disabled two-factor authentication`);
+    
+    return c.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    return c.json({ 
+      error: 'Failed to disable two-factor authentication', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Replace the recovery codes (requires a current code)
+app.post('/admin/2fa/recovery-codes', requireAdmin(), async (c) => {
+  try {
+    const admin = c.get('admin');
+    const { code } = await c.req.json();
     
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    if (!code) {
+      return c.json({ error: 'Authentication code is required' }, 400);
     }
     
-    if (!file || !(file instanceof File) || file.size === 0) {
-      return c.json({
-        error: 'Valid file is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    const { rows } = await pool.query('SELECT * FROM admins WHERE id = $1', [admin.id]);
+    
+    if (!rows[0].totp_enabled) {
+      return c.json({ error: 'Two-factor authentication is not enabled' }, 400);
     }
     
-    if (file.size > 10 * 1024 * 1024) {
-      return c.json({ error: 'File size must be less than 10MB' }, 400)
+    const method = await verifySecondFactor(rows[0], { code });
+    if (!method) {
+      return c.json({ error: 'Invalid authentication code' }, 401);
     }
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'fees-receipt')
+    const recoveryCodes = await replaceRecoveryCodes(admin.id);
     
     return c.json({
-      message: 'Fees receipt uploaded successfully',
-      ...result
-    }, 201)
+      message: 'Recovery codes regenerated; previous codes no longer work',
+      recovery_codes: recoveryCodes
+    });
   } catch (error) {
-    console.error('Fees receipt upload error:', error)
-    return c.json({
-      error: 'Failed to upload fees receipt',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error regenerating recovery codes:', error);
+    return c.json({ 
+      error: 'Failed to regenerate recovery codes', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Results upload route with flexible FormData handling
-app.post('/results', async (c) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/auth/refresh', async (c) => {
   try {
-    console.log('Results upload request received')
-    
-    let formData
+    let body = {};
     try {
-      formData = await c.req.formData()
-    } catch (formError) {
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData'
-      }, 400)
+      body = await c.req.json();
+    } catch (e) {
+      // Handled by the missing token check below
     }
     
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber')
+    if (!body.refresh_token) {
+      return c.json({ error: 'Refresh token is required' }, 400);
+    }
     
-    let file = formData.get('file') || 
-               formData.get('results') || 
-               formData.get('result') ||
-               formData.get('document')
+    const rotated = await rotateRefreshToken(body.refresh_token);
     
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    if (!rotated) {
+      return c.json({ 
+        error: 'Invalid refresh token', 
+        details: 'The session has expired or been revoked. Please log in again.' 
+      }, 401);
     }
     
-    if (!file || !(file instanceof File) || file.size === 0) {
-      return c.json({
-        error: 'Valid file is required',
-        receivedFields: [...formData.keys()]
-      }, 400)
-    }
+    const { session, refreshToken } = rotated;
+    const accountQuery = session.account_type === 'admin'
+      ? 'SELECT id, username FROM admins WHERE id = $1'
+      : 'SELECT id, registration_number FROM students WHERE id = $1';
     
-    if (file.size > 10 * 1024 * 1024) {
-      return c.json({ error: 'File size must be less than 10MB' }, 400)
-    }
+    const { rows } = await pool.query(accountQuery, [session.account_id]);
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'results')
+    if (rows.length === 0) {
+      await revokeSession({ sessionId: session.id, reason: 'account_deleted' });
+      return c.json({ error: 'Account not found' }, 401);
+    }
     
     return c.json({
-      message: 'Results uploaded successfully',
-      ...result
-    }, 201)
+      token: signAccessToken(session.account_type, rows[0], session.id),
+      refresh_token: refreshToken,
+      refresh_expires_at: session.expires_at
+    });
   } catch (error) {
-    console.error('Results upload error:', error)
-    return c.json({
-      error: 'Failed to upload results',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Token refresh error:', error);
+    return c.json({ 
+      error: 'Failed to refresh token', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Timetable upload route with flexible FormData handling
-app.post('/timetable', async (c) => {
+// Logout: revokes the session of the bearer token and/or the given refresh token
+app.post('/auth/logout', async (c) => {
   try {
-    console.log('Timetable upload request received')
-    
-    // Get content type for debugging
-    const contentType = c.req.header('content-type') || ''
-    console.log('Content-Type:', contentType)
-    console.log('Request headers:', Object.fromEntries(c.req.raw.headers.entries()))
-    
-    let formData
+    let body = {};
     try {
-      formData = await c.req.formData()
-      console.log('FormData parsed successfully for timetable')
-      console.log('Form fields:', [...formData.keys()])
-    } catch (formError) {
-      console.error('FormData parsing error details:', formError)
-      
-      // Try to get the raw body for debugging
+      body = await c.req.json();
+    } catch (e) {
+      // Logging out with only the Authorization header is fine
+    }
+    
+    let sessionId = null;
+    const token = getBearerToken(c);
+    if (token) {
       try {
-        const rawBody = await c.req.text()
-        console.log('Raw body preview (first 500 chars):', rawBody.substring(0, 500))
-        console.log('Raw body type:', typeof rawBody)
-        console.log('Raw body length:', rawBody.length)
-        
-        // Check if the body looks like valid multipart data
-        const hasFormDataMarkers = rawBody.includes('Content-Disposition') && rawBody.includes('form-data')
-        console.log('Body appears to be FormData:', hasFormDataMarkers)
-        
-        // If it looks like FormData but failed to parse, might be a boundary issue
-        if (hasFormDataMarkers && !contentType.includes('boundary=')) {
-          console.log('WARNING: Body appears to be FormData but Content-Type missing boundary')
-        }
-      } catch (bodyError) {
-        console.error('Could not read raw body:', bodyError)
+        // An expired access token may still be used to end its session
+        const decoded = jwt.verify(token, process.env.SECRET_KEY, { ignoreExpiration: true });
+        sessionId = decoded.sid || null;
+      } catch (tokenError) {
+        return tokenErrorResponse(c, tokenError);
       }
-      
-      return c.json({
-        error: 'Malformed FormData request',
-        details: 'Failed to parse body as FormData',
-        contentType: contentType,
-        formError: formError.message,
-        help: 'Ensure you are sending a valid multipart/form-data request with proper boundary',
-        debug: {
-          hasContentType: !!contentType,
-          isMultipart: contentType.includes('multipart/form-data'),
-          hasBoundary: contentType.includes('boundary='),
-          userAgent: c.req.header('user-agent') || 'Not provided',
-          contentLength: c.req.header('content-length') || 'Not provided'
-        }
-      }, 400)
     }
     
-    let registrationNumber = formData.get('registrationNumber') || 
-                            formData.get('registration_number') || 
-                            formData.get('regNumber')
+    if (!sessionId && !body.refresh_token) {
+      return c.json({ 
+        error: 'No session provided', 
+        details: 'Provide the access token in the Authorization header or a refresh_token in the body' 
+      }, 400);
+    }
     
-    let file = formData.get('file') || 
-               formData.get('timetable') || 
-               formData.get('schedule') ||
-               formData.get('document')
+    await revokeSession({ sessionId, refreshToken: body.refresh_token, reason: 'logout' });
     
-    console.log('Extracted fields:', {
-      registrationNumber: registrationNumber ? 'present' : 'missing',
-      file: file ? `present (${file.name}, ${file.size} bytes)` : 'missing',
-      allFields: [...formData.keys()]
-    })
+    return c.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    return c.json({ 
+      error: 'Failed to log out', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Revoke every session of a student or admin (e.g. leaked token, lost device)
+app.post('/admin/sessions/revoke', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const admin = c.get('admin');
+    const { account_type, account_id, reason } = await c.req.json();
     
-    if (!registrationNumber || typeof registrationNumber !== 'string') {
-      return c.json({
-        error: 'Registration number is required',
-        details: 'Please provide registrationNumber field in FormData',
-        receivedFields: [...formData.keys()]
-      }, 400)
+    if (!account_type || !account_id) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'account_type (student or admin) and account_id are required' 
+      }, 400);
     }
     
-    if (!file || !(file instanceof File) || file.size === 0) {
-      return c.json({
-        error: 'Valid file is required',
-        details: 'Please provide a valid file in FormData',
-        receivedFields: [...formData.keys()],
-        fileType: file ? typeof file : 'undefined'
-      }, 400)
+    if (!['student', 'admin'].includes(account_type)) {
+      return c.json({ 
+        error: 'Invalid account type', 
+        details: 'account_type must be either student or admin' 
+      }, 400);
     }
     
-    if (file.size > 10 * 1024 * 1024) {
+    if (account_type === 'admin' && !hasRole(admin.roles, [ROLES.SUPER_ADMIN])) {
       return c.json({
-        error: 'File size must be less than 10MB',
-        actualSize: `${(file.size / 1024 / 1024).toFixed(2)}MB`
-      }, 400)
+        error: 'Insufficient permissions',
+        details: 'Only super-admins can revoke admin sessions'
+      }, 403);
     }
     
-    // Validate file size (min 1KB)
-    if (file.size < 1024) {
-      return c.json({
-        error: 'File appears to be empty or too small',
-        actualSize: `${file.size} bytes`
-      }, 400)
-    }
+    const revokedCount = await revokeAccountSessions({
+      accountType: account_type,
+      accountId: account_id,
+      reason: reason || `revoked_by_admin:${admin.username}`
+    });
     
-    const result = await handleFileUpload(registrationNumber.trim(), file, 'timetable')
+    console.log(`Admin ${admin.username} revoked ${revokedCount} sessions of ${account_type} ${account_id}`);
+    await recordAudit(c, {
+      action: 'session.revoke',
+      studentId: account_type === 'student' ? account_id : undefined,
+      details: { account_type, account_id, revoked_sessions: revokedCount }
+    });
     
     return c.json({
-      message: 'Timetable uploaded successfully',
-      ...result
-    }, 201)
+      message: `${revokedCount} sessions revoked successfully`,
+      account_type,
+      account_id,
+      revoked_sessions: revokedCount
+    });
   } catch (error) {
-    console.error('Timetable upload error:', error)
-    return c.json({
-      error: 'Failed to upload timetable',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error revoking sessions:', error);
+    return c.json({ 
+      error: 'Failed to revoke sessions', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Register unit for student endpoint
-app.post('/units/register', async (c) => {
+// Admin token verification endpoint
+app.get('/admin/verify-token', requireAdmin(), async (c) => {
+  const admin = c.get('admin');
+  
+  return c.json({ 
+    valid: true,
+    admin: {
+      id: admin.id,
+      username: admin.username,
+      roles: admin.roles
+    }
+  });
+});
+
+// Failed login attempts (student and admin), newest first
+app.get('/admin/login-attempts', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    const body = await c.req.json();
-    console.log('Unit registration request:', body);
+    const { account_type, identifier, ip, from, to } = c.req.query();
+    const limit = Math.min(parseInt(c.req.query('limit'), 10) || 100, 500);
     
-    const { student_reg, unit_name, unit_code, status = 'active' } = body;
+    const conditions = [];
+    const params = [];
     
-    if (!student_reg || !unit_name || !unit_code) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'Student registration number, unit name, and unit code are required' 
-      }, 400);
+    if (account_type) {
+      params.push(account_type);
+      conditions.push(`account_type = $${params.length}`);
+    }
+    if (identifier) {
+      params.push(identifier);
+      conditions.push(`identifier = $${params.length}`);
+    }
+    if (ip) {
+      params.push(ip);
+      conditions.push(`ip_address = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`attempted_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`attempted_at <= $${params.length}`);
     }
-
-    // First, find the student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
-      [student_reg]
-    );
     
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
+    let query = 'SELECT * FROM login_attempts';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
     }
+    params.push(limit);
+    query += ` ORDER BY attempted_at DESC LIMIT $${params.length}`;
     
-    const student_id = studentRows[0].id;
-
-    // Check if the unit exists in the units table, if not create it
-    let { rows: unitRows } = await pool.query(
-      'SELECT id FROM units WHERE unit_code = $1',
-      [unit_code]
-    );
+    const { rows } = await pool.query(query, params);
     
-    if (unitRows.length === 0) {
-      // Create the unit if it doesn't exist
-      await pool.query(
-        'INSERT INTO units (unit_name, unit_code) VALUES ($1, $2)',
-        [unit_name, unit_code]
-      );
-    }
+    return c.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    return c.json({ 
+      error: 'Failed to fetch login attempts', 
+      details: error.message 
+    }, 500);
+  }
+});
 
-    // Check if the student is already registered for this unit in registered_units table
-    const { rows: existingRows } = await pool.query(
-      'SELECT id FROM registered_units WHERE student_id = $1 AND unit_code = $2',
-      [student_id, unit_code]
-    );
+// Return students whose academic leave has ended to active and flag them for
+// unit re-allocation (also run on a schedule with `npm run expire-leaves`)
+app.post('/admin/jobs/expire-academic-leaves', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    const dryRun = c.req.query('dry_run') === 'true';
+    const asOf = c.req.query('as_of') || null;
     
-    if (existingRows.length > 0) {
-      return c.json({ 
-        error: 'Unit already registered', 
-        details: 'Student is already registered for this unit' 
-      }, 409);
+    const asOfError = asOf ? validateAsOf(asOf, { dryRun }) : null;
+    if (asOfError) {
+      return c.json({ error: 'Invalid date', details: asOfError }, 400);
     }
-
-    // Register the unit for the student
-    const { rows } = await pool.query(
-      'INSERT INTO registered_units (student_id, unit_name, unit_code, status) VALUES ($1, $2, $3, $4) RETURNING *',
-      [student_id, unit_name, unit_code, status]
-    );
     
-    if (rows.length === 0) {
-      throw new Error('Failed to register unit');
-    }
+    const students = await expireAcademicLeaves(c, { asOf, dryRun });
+    console.log(`Academic leave expiry${dryRun ? ' (dry run)' : ''}: ${students.length} students`);
     
-    return c.json({ 
-      message: 'Unit registered successfully for student',
-      registered_unit: rows[0],
-      student_registration: student_reg
+    return c.json({
+      message: dryRun
+        ? `${students.length} expired academic leaves found`
+        : `${students.length} students returned from academic leave`,
+      dry_run: dryRun,
+      students,
+      count: students.length
     });
   } catch (error) {
-    console.error('Error registering unit:', error);
+    console.error('Error expiring academic leaves:', error);
     return c.json({ 
-      error: 'Failed to register unit', 
+      error: 'Failed to expire academic leaves', 
       details: error.message 
     }, 500);
   }
 });
 
-// Health check route
-app.get('/health', (c) => {
-  return c.json({ status: 'OK', message: 'File upload service is running' })
-})
-
-// Get documents for a student
-app.get('/documents/:registrationNumber', async (c) => {
+// Audit trail of administrative writes, newest first
+app.get('/admin/audit-log', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    const registrationNumber = c.req.param('registrationNumber')
+    const { student_id, registration_number, actor_id, actor, action, from, to } = c.req.query();
+    const limit = Math.min(parseInt(c.req.query('limit'), 10) || 100, 500);
+    const offset = Math.max(parseInt(c.req.query('offset'), 10) || 0, 0);
+    
+    const conditions = [];
+    const params = [];
+    
+    if (student_id) {
+      params.push(student_id);
+      conditions.push(`student_id = $${params.length}`);
+    }
+    if (registration_number) {
+      params.push(registration_number);
+      conditions.push(`registration_number = $${params.length}`);
+    }
+    if (actor_id) {
+      params.push(actor_id);
+      conditions.push(`actor_id = $${params.length}`);
+    }
+    if (actor) {
+      params.push(actor);
+      conditions.push(`actor_username = $${params.length}`);
+    }
+    if (action) {
+      // "student.*" matches every student action
+      if (action.endsWith('*')) {
+        params.push(`${action.slice(0, -1)}%`);
+        conditions.push(`action LIKE $${params.length}`);
+      } else {
+        params.push(action);
+        conditions.push(`action = $${params.length}`);
+      }
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+    
+    let query = 'SELECT * FROM audit_log';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+    params.push(limit, offset);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    
+    const { rows } = await pool.query(query, params);
     
-    const { rows } = await pool.query(
-      `SELECT * FROM student_documents 
-       WHERE registration_number = $1 
-       ORDER BY uploaded_at DESC`,
-      [registrationNumber]
-    )
-
     return c.json({
       success: true,
       data: rows,
-      count: rows.length
-    })
+      count: rows.length,
+      limit,
+      offset
+    });
   } catch (error) {
-    console.error('Get documents error:', error)
-    return c.json({
-      error: 'Failed to retrieve documents',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error fetching audit log:', error);
+    return c.json({ 
+      error: 'Failed to fetch audit log', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Get documents for a student by student ID
-app.get('/students/:id/documents', async (c) => {
+// Accounts that are currently locked or have recent failed logins
+app.get('/admin/login-lockouts', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const studentId = c.req.param('id')
-    console.log('Fetching documents for student ID:', studentId)
-    
-    // First get the student's registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT registration_number FROM students WHERE id = $1',
-      [studentId]
-    )
+    const admin = c.get('admin');
     
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found',
-        details: 'No student found with the provided ID'
-      }, 404)
+    // Registrars only manage student accounts
+    let query = 'SELECT *, (locked_until IS NOT NULL AND locked_until > now()) AS locked FROM login_throttle';
+    if (!hasRole(admin.roles, [ROLES.SUPER_ADMIN])) {
+      query += ` WHERE account_type = 'student'`;
     }
+    query += ' ORDER BY last_failed_at DESC';
     
-    const registrationNumber = studentRows[0].registration_number
+    const { rows } = await pool.query(query);
     
-    // Get all documents for this student
-    const { rows } = await pool.query(
-      `SELECT * FROM student_documents 
-       WHERE registration_number = $1 
-       ORDER BY uploaded_at DESC`,
-      [registrationNumber]
-    )
-
     return c.json({
       success: true,
       data: rows,
-      count: rows.length,
-      student_id: studentId,
-      registration_number: registrationNumber
-    })
+      count: rows.length
+    });
   } catch (error) {
-    console.error('Get student documents error:', error)
-    return c.json({
-      error: 'Failed to retrieve student documents',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error fetching login lockouts:', error);
+    return c.json({ 
+      error: 'Failed to fetch login lockouts', 
+      details: error.message 
+    }, 500);
   }
-})
+});
 
-// Get documents for a student by student ID
-app.get('/students/:id/documents', async (c) => {
+// Unlock a student or admin account locked by failed logins
+app.post('/admin/login-lockouts/unlock', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const studentId = c.req.param('id')
-    console.log('Fetching documents for student ID:', studentId)
+    const admin = c.get('admin');
+    const { account_type, identifier } = await c.req.json();
     
-    // First get the student's registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT registration_number FROM students WHERE id = $1',
-      [studentId]
-    )
+    if (!account_type || !identifier) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'account_type (student or admin) and identifier (registration number or username) are required' 
+      }, 400);
+    }
     
-    if (studentRows.length === 0) {
+    if (!['student', 'admin'].includes(account_type)) {
       return c.json({ 
-        error: 'Student not found',
-        details: 'No student found with the provided ID'
-      }, 404)
+        error: 'Invalid account type', 
+        details: 'account_type must be either student or admin' 
+      }, 400);
     }
     
-    const registrationNumber = studentRows[0].registration_number
+    if (account_type === 'admin' && !hasRole(admin.roles, [ROLES.SUPER_ADMIN])) {
+      return c.json({
+        error: 'Insufficient permissions',
+        details: 'Only super-admins can unlock admin accounts'
+      }, 403);
+    }
     
-    // Get all documents for this student
-    const { rows } = await pool.query(
-      `SELECT * FROM student_documents 
-       WHERE registration_number = $1 
-       ORDER BY uploaded_at DESC`,
-      [registrationNumber]
-    )
+    const cleared = await unlockAccount({ accountType: account_type, identifier });
+    
+    if (!cleared) {
+      return c.json({ 
+        error: 'Account not locked', 
+        details: 'No failed login attempts are recorded for this account' 
+      }, 404);
+    }
+    
+    console.log(`Admin ${admin.username} unlocked ${account_type} account ${identifier}`);
+    await recordAudit(c, {
+      action: 'login.unlock',
+      registrationNumber: account_type === 'student' ? identifier : undefined,
+      before: cleared,
+      details: { account_type, identifier }
+    });
+    
+    return c.json({
+      message: 'Account unlocked successfully',
+      account_type,
+      identifier,
+      previous_state: cleared
+    });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    return c.json({ 
+      error: 'Failed to unlock account', 
+      details: error.message 
+    }, 500);
+  }
+});
 
+// Admin account management (super-admin only)
+app.get('/admin/admins', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${ADMIN_PUBLIC_COLUMNS} FROM admins ORDER BY username`
+    );
+    
     return c.json({
       success: true,
       data: rows,
-      count: rows.length,
-      student_id: studentId,
-      registration_number: registrationNumber
-    })
+      count: rows.length
+    });
   } catch (error) {
-    console.error('Get student documents error:', error)
-    return c.json({
-      error: 'Failed to retrieve student documents',
-      details: error instanceof Error ? error.message : 'Unknown error'
-    }, 500)
+    console.error('Error fetching admins:', error);
+    return c.json({ 
+      error: 'Failed to fetch admins', 
+      details: error.message 
+    }, 500);
   }
-})
-
-// =============================================================================
-// END NEW UNIFIED DOCUMENT UPLOAD SYSTEM
-// =============================================================================
-
-// Serve static files from the public directory
-app.use('/*', serveStatic({ root: './public' }));
+});
 
-// API health check endpoint
-app.get('/api/health', async (c) => {
-  const health = {
-    status: 'ok',
-    uptime: process.uptime(),
-    timestamp: Date.now(),
-    environment: process.env.NODE_ENV || 'development'
- 
-  };
-  
+app.get('/admin/admins/:id', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    // Test database connection
-    console.log('Testing database connection...');
-    const startTime = Date.now();
-    await pool.query('SELECT 1');
-    const duration = Date.now() - startTime;
+    const { rows } = await pool.query(
+      `SELECT ${ADMIN_PUBLIC_COLUMNS} FROM admins WHERE id = $1`,
+      [c.req.param('id')]
+    );
     
-    health.database = {
-      status: 'connected',
-      responseTime: `${duration}ms`
-    };
+    if (rows.length === 0) {
+      return c.json({ error: 'Admin not found' }, 404);
+    }
     
-    return c.json({ 
-      ...health,
-      message: 'Student Portal Backend is running! Database connection is healthy.' 
-    });
+    return c.json(rows[0]);
   } catch (error) {
-    console.error('Health check failed:', error);
-    
-    health.status = 'error';
-    health.database = {
-      status: 'disconnected',
-      error: error.message,
-      code: error.code || 'UNKNOWN'
-    };
-    
+    console.error('Error fetching admin:', error);
     return c.json({ 
-      ...health,
-      message: 'Database connection failed!',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    }, 503);
+      error: 'Failed to fetch admin', 
+      details: error.message 
+    }, 500);
   }
 });
 
-// Forgot password endpoint
-app.post('/student/auth/forgot-password', async (c) => {
+app.post('/admin/admins', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    const { registration_number, email } = await c.req.json();
+    const admin = c.get('admin');
+    const { username, password, roles } = await c.req.json();
     
-    if (!registration_number || !email) {
+    if (!username || !password || !roles) {
       return c.json({ 
         error: 'Missing required fields', 
-        details: 'Registration number and email are required' 
+        details: 'username, password and roles are required' 
       }, 400);
     }
     
-    // Check if student exists with matching registration number and email
-    const { rows } = await pool.query(
-      'SELECT * FROM students WHERE registration_number = $1 AND email = $2',
-      [registration_number, email]
-    );
+    const roleErrors = validateRoles(roles);
+    if (roleErrors.length > 0) {
+      return c.json({ error: 'Invalid roles', details: roleErrors.join('. ') }, 400);
+    }
     
-    if (rows.length === 0) {
-      return c.json({ 
-        error: 'Invalid credentials', 
-        details: 'No student found with the provided registration number and email' 
-      }, 404);
+    const passwordErrors = validatePassword(password, { disallowed: [username] });
+    if (passwordErrors.length > 0) {
+      return c.json({ error: 'Password does not meet requirements', details: passwordErrors }, 400);
     }
     
-    // Generate a temporary password
-    const tempPassword = Math.random().toString(36).slice(-8);
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
+    const { rows: existing } = await pool.query('SELECT id FROM admins WHERE username = $1', [username]);
+    if (existing.length > 0) {
+      return c.json({ 
+        error: 'Username already exists', 
+        details: `An admin with username ${username} already exists` 
+      }, 409);
+    }
     
-    // Update the student's password
-    await pool.query(
-      'UPDATE students SET password = $1 WHERE id = $2',
-      [hashedPassword, rows[0].id]
+    const passwordHash = await bcrypt.hash(password, 10);
+    const { rows } = await pool.query(
+      `INSERT INTO admins (username, password_hash, roles, password_changed_at) 
+       VALUES ($1, $2, $3, now()) 
+       RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+      [username, passwordHash, roles]
     );
     
-    // In a real application, you would send an email with the temporary password
-    // For this implementation, we'll just return it in the response
+    console.log(`Admin ${admin.username} created admin ${username} with roles ${roles.join(', ')}`);
+    await recordAudit(c, { action: 'admin.create', after: rows[0] });
+    
+    return c.json(rows[0], 201);
+  } catch (error) {
+    console.error('Error creating admin:', error);
     return c.json({ 
-      message: 'Password reset successful', 
-      temp_password: tempPassword,
-      note: 'In a production environment, this would be sent via email instead of being returned in the response'
-    });
+      error: 'Failed to create admin', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+app.put('/admin/admins/:id/roles', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
+  try {
+    const admin = c.get('admin');
+    const adminId = c.req.param('id');
+    const { roles } = await c.req.json();
+    
+    const roleErrors = validateRoles(roles);
+    if (roleErrors.length > 0) {
+      return c.json({ error: 'Invalid roles', details: roleErrors.join('. ') }, 400);
+    }
+    
+    const before = await pool.query(`SELECT ${ADMIN_PUBLIC_COLUMNS} FROM admins WHERE id = $1`, [adminId]);
+    const { result, error } = await changeAdminGuarded(sql => sql`
+      UPDATE admins SET roles = ${roles} WHERE id = ${adminId} 
+      RETURNING ${sql.unsafe(ADMIN_PUBLIC_COLUMNS)}
+    `);
+    
+    if (error) {
+      return c.json({ error: 'Cannot change roles', details: error }, 409);
+    }
+    
+    if (result.length === 0) {
+      return c.json({ error: 'Admin not found' }, 404);
+    }
+    
+    console.log(`Admin ${admin.username} set roles of ${result[0].username} to ${roles.join(', ')}`);
+    await recordAudit(c, { action: 'admin.roles.update', before: before.rows[0], after: result[0] });
+    
+    return c.json(result[0]);
   } catch (error) {
-    console.error('Error in forgot password:', error);
+    console.error('Error updating admin roles:', error);
     return c.json({ 
-      error: 'Failed to process password reset', 
+      error: 'Failed to update admin roles', 
       details: error.message 
     }, 500);
   }
 });
 
-// Student login endpoint
-app.post('/auth/student-login', async (c) => {
+app.post('/admin/admins/:id/deactivate', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    const body = await c.req.json();
-    console.log('Student login attempt:', { registration_number: body.registration_number });
-    
-    const { registration_number, password } = body;
+    const admin = c.get('admin');
+    const adminId = c.req.param('id');
     
-    if (!registration_number || !password) {
-      return c.json({ error: 'Registration number and password required' }, 400);
-    }
-
-    const { rows } = await pool.query('SELECT * FROM students WHERE registration_number = $1', [registration_number]);
-    if (rows.length === 0) {
-      return c.json({ error: 'Invalid credentials' }, 401);
+    if (adminId === admin.id) {
+      return c.json({ 
+        error: 'Cannot deactivate your own account', 
+        details: 'Ask another super-admin to deactivate it' 
+      }, 400);
     }
     
-    const student = rows[0];
-    let isAuthenticated = false;
+    const { result, error } = await changeAdminGuarded(sql => sql`
+      UPDATE admins SET is_active = false, deactivated_at = now() 
+      WHERE id = ${adminId} AND is_active 
+      RETURNING ${sql.unsafe(ADMIN_PUBLIC_COLUMNS)}
+    `);
     
-    // First try bcrypt compare (for hashed passwords)
-    try {
-      isAuthenticated = await bcrypt.compare(password, student.password);
-    } catch (err) {
-      console.log('bcrypt compare failed, might be plain text password:', err.message);
-      // If bcrypt compare fails, it might be a plain text password
-      isAuthenticated = (password === student.password);
+    if (error) {
+      return c.json({ error: 'Cannot deactivate admin', details: error }, 409);
     }
     
-    if (!isAuthenticated) {
-      return c.json({ error: 'Invalid credentials' }, 401);
+    if (result.length === 0) {
+      return c.json({ error: 'Admin not found or already deactivated' }, 404);
     }
     
-    // If login successful with plain text password, update to hashed version
-    if (password === student.password) {
-      console.log('Updating plain text password to hashed version');
-      const hashedPassword = await bcrypt.hash(password, 10);
-      await pool.query(
-        'UPDATE students SET password = $1 WHERE id = $2',
-        [hashedPassword, student.id]
-      );
-    }
+    const revokedCount = await revokeAccountSessions({
+      accountType: 'admin',
+      accountId: adminId,
+      reason: `deactivated_by_admin:${admin.username}`
+    });
     
-    const token = jwt.sign(
-      { registration_number: student.registration_number, student_id: student.id }, 
-      process.env.SECRET_KEY, 
-      { expiresIn: '2h' }
-    );
+    console.log(`Admin ${admin.username} deactivated admin ${result[0].username}`);
+    await recordAudit(c, { action: 'admin.deactivate', after: result[0], details: { revoked_sessions: revokedCount } });
     
-    return c.json({ 
-      token, 
-      student_id: student.id,
-      registration_number: student.registration_number,
-      name: student.name
+    return c.json({
+      message: 'Admin deactivated successfully',
+      admin: result[0],
+      revoked_sessions: revokedCount
     });
   } catch (error) {
-    console.error('Student login error:', error);
+    console.error('Error deactivating admin:', error);
     return c.json({ 
-      error: 'Server error during login', 
-      details: error.message,
-      stack: error.stack 
+      error: 'Failed to deactivate admin', 
+      details: error.message 
     }, 500);
   }
 });
 
-// Admin login endpoint
-app.post('/auth/admin-login', async (c) => {
+app.post('/admin/admins/:id/activate', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    const body = await c.req.json();
-    console.log('Admin login attempt:', { username: body.username });
-    
-    const { username, password } = body;
+    const admin = c.get('admin');
+    const { rows } = await pool.query(
+      `UPDATE admins SET is_active = true, deactivated_at = NULL 
+       WHERE id = $1 AND NOT is_active 
+       RETURNING ${ADMIN_PUBLIC_COLUMNS}`,
+      [c.req.param('id')]
+    );
     
-    if (!username || !password) {
-      return c.json({ error: 'Username and password required' }, 400);
-    }
-
-    const { rows } = await pool.query('SELECT * FROM admins WHERE username = $1', [username]);
     if (rows.length === 0) {
-      return c.json({ error: 'Invalid credentials' }, 401);
+      return c.json({ error: 'Admin not found or already active' }, 404);
     }
     
-    const admin = rows[0];
-    
-    // Compare password with hash
-    const isAuthenticated = await bcrypt.compare(password, admin.password_hash);
-    
-    if (!isAuthenticated) {
-      return c.json({ error: 'Invalid credentials' }, 401);
-    }
+    console.log(`Admin ${admin.username} reactivated admin ${rows[0].username}`);
+    await recordAudit(c, { action: 'admin.activate', after: rows[0] });
     
-    const token = jwt.sign(
-      { username: admin.username, admin_id: admin.id, type: 'admin' }, 
-      process.env.SECRET_KEY, 
-      { expiresIn: '8h' }
-    );
-      return c.json({ 
-      token, 
-      adminId: admin.id,
-      username: admin.username
+    return c.json({
+      message: 'Admin reactivated successfully',
+      admin: rows[0]
     });
   } catch (error) {
-    console.error('Admin login error:', error);
+    console.error('Error reactivating admin:', error);
     return c.json({ 
-      error: 'Server error during admin login', 
-      details: error.message
+      error: 'Failed to reactivate admin', 
+      details: error.message 
     }, 500);
   }
 });
 
-// Admin token verification endpoint
-app.get('/admin/verify-token', async (c) => {
+// Set a new password for an admin who forgot theirs; signs them out everywhere
+app.post('/admin/admins/:id/reset-password', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    // Get token from Authorization header
-    const authHeader = c.req.header('authorization');
+    const admin = c.get('admin');
+    const adminId = c.req.param('id');
+    const { new_password } = await c.req.json();
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return c.json({ error: 'No token provided' }, 401);
+    const { rows: targetRows } = await pool.query('SELECT id, username FROM admins WHERE id = $1', [adminId]);
+    if (targetRows.length === 0) {
+      return c.json({ error: 'Admin not found' }, 404);
     }
     
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify the JWT token
-    const decoded = jwt.verify(token, process.env.SECRET_KEY);
-    
-    // Check if it's an admin token
-    if (decoded.type !== 'admin') {
-      return c.json({ error: 'Invalid token type' }, 401);
+    const target = targetRows[0];
+    const passwordErrors = validatePassword(new_password, { disallowed: [target.username] });
+    if (passwordErrors.length > 0) {
+      return c.json({ error: 'Password does not meet requirements', details: passwordErrors }, 400);
     }
     
-    // Verify admin still exists in database
-    const { rows } = await pool.query('SELECT id, username FROM admins WHERE id = $1', [decoded.admin_id]);
-    
-    if (rows.length === 0) {
-      return c.json({ error: 'Admin not found' }, 401);
-    }
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    await pool.query(
+      'UPDATE admins SET password_hash = $1, password_changed_at = now() WHERE id = $2',
+      [passwordHash, adminId]
+    );
     
-    return c.json({ 
-      valid: true,
-      admin: {
-        id: rows[0].id,
-        username: rows[0].username
-      }
+    const revokedCount = await revokeAccountSessions({
+      accountType: 'admin',
+      accountId: adminId,
+      reason: `password_reset_by_admin:${admin.username}`
     });
-  } catch (error) {
-    console.error('Token verification error:', error);
+    await unlockAccount({ accountType: 'admin', identifier: target.username });
     
-    if (error.name === 'JsonWebTokenError') {
-      return c.json({ error: 'Invalid token' }, 401);
-    } else if (error.name === 'TokenExpiredError') {
-      return c.json({ error: 'Token expired' }, 401);
-    }
+    console.log(`Admin ${admin.username} reset the password of admin ${target.username}`);
+    await recordAudit(c, { 
+      action: 'admin.password.reset', 
+      details: { admin_id: target.id, username: target.username, revoked_sessions: revokedCount } 
+    });
     
+    return c.json({
+      message: 'Password reset successfully',
+      admin_id: target.id,
+      username: target.username,
+      revoked_sessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Error resetting admin password:', error);
     return c.json({ 
-      error: 'Token verification failed', 
+      error: 'Failed to reset admin password', 
       details: error.message 
     }, 500);
   }
 });
 
-// Student forgot password endpoint
-app.post('/student/auth/forgot-password', async (c) => {
+app.delete('/admin/admins/:id', requireAdmin(ROLES.SUPER_ADMIN), async (c) => {
   try {
-    console.log('Student forgot password request received');
-    const body = await c.req.json();
+    const admin = c.get('admin');
+    const adminId = c.req.param('id');
     
-    // Extract necessary fields from request
-    const { registration_number, new_password } = body;
-    
-    if (!registration_number) {
-      return c.json({ error: 'Registration number is required' }, 400);
+    if (adminId === admin.id) {
+      return c.json({ 
+        error: 'Cannot delete your own account', 
+        details: 'Ask another super-admin to delete it' 
+      }, 400);
     }
     
-    if (!new_password) {
-      return c.json({ error: 'New password is required' }, 400);
-    }
+    const { result, error } = await changeAdminGuarded(sql => sql`
+      DELETE FROM admins WHERE id = ${adminId} RETURNING id, username
+    `);
     
-    // Find the student
-    const { rows } = await pool.query('SELECT * FROM students WHERE registration_number = $1', [registration_number]);
-    if (rows.length === 0) {
-      return c.json({ error: 'Student not found' }, 404);
+    if (error) {
+      return c.json({ error: 'Cannot delete admin', details: error }, 409);
     }
     
-    const student = rows[0];
+    if (result.length === 0) {
+      return c.json({ error: 'Admin not found' }, 404);
+    }
     
-    // Hash the new password
-    const hashedPassword = await bcrypt.hash(new_password, 10);
+    await revokeAccountSessions({
+      accountType: 'admin',
+      accountId: adminId,
+      reason: `deleted_by_admin:${admin.username}`
+    });
     
-    // Update the password in the database
-    await pool.query(
-      'UPDATE students SET password = $1 WHERE registration_number = $2',
-      [hashedPassword, registration_number]
-    );
+    console.log(`Admin ${admin.username} deleted admin ${result[0].username}`);
+    await recordAudit(c, { action: 'admin.delete', before: result[0] });
     
-    return c.json({ 
-      message: 'Password reset successful', 
-      registration_number: student.registration_number 
+    return c.json({
+      message: 'Admin deleted successfully',
+      admin: result[0]
     });
   } catch (error) {
-    console.error('Error resetting student password:', error);
+    console.error('Error deleting admin:', error);
     return c.json({ 
-      error: 'Failed to reset password', 
+      error: 'Failed to delete admin', 
       details: error.message 
     }, 500);
   }
 });
 
 // Exam Card Endpoints
-app.get('/students/:id/exam-card', async (c) => {
+app.get('/students/:id/exam-card', requireStudentOrAdmin(), async (c) => {
   try {
     const studentId = c.req.param('id');
     console.log('Fetching exam card for student:', studentId);
     
     // First, verify the student exists
     const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1',
       [studentId]
     );
     
@@ -2178,6 +5464,9 @@ app.get('/students/:id/exam-card', async (c) => {
       return c.json({ error: 'Student not found' }, 404);
     }
     
+    const finished = finishedStudentResponse(c, studentRows[0], 'the exam card');
+    if (finished) return finished;
+    
     // Check fee status (optional - don't block if no fee record)
     const { rows: feeRows } = await pool.query(
       'SELECT fee_balance FROM fees WHERE student_id = $1',
@@ -2508,11 +5797,18 @@ app.get('/students/:id/exam-card', async (c) => {
 });
 
 // Handle POST requests to /exam-cards/{registration_number}
-app.post('/exam-cards/:regNumber', async (c) => {
+app.on('POST', regNumberPaths('/exam-cards'), requireAdmin(ROLES.EXAMS), resolveRegistrationNumber(), async (c) => {
   try {
-    const registration_number = c.req.param('regNumber');
+    const registration_number = c.get('registrationNumber');
     console.log('POST /exam-cards/:regNumber request received for:', registration_number);
     
+    const { rows: studentRows } = await pool.query(
+      'SELECT registration_number, status FROM students WHERE id = $1',
+      [c.get('registrationStudentId')]
+    );
+    const finished = finishedStudentResponse(c, studentRows[0], 'the exam card');
+    if (finished) return finished;
+    
     // Check content type to determine handling method
     const contentType = c.req.header('content-type') || '';
     console.log('Request content-type:', contentType);
@@ -2614,6 +5910,12 @@ app.post('/exam-cards/:regNumber', async (c) => {
           );
         }
         
+        await recordAudit(c, {
+          action: 'document.upload',
+          registrationNumber: registration_number,
+          details: { document_type: 'exam-card', file_url, file_name: fileName }
+        });
+        
         return c.json({ 
           message: 'Binary exam card uploaded successfully.', 
           registration_number,
@@ -2672,6 +5974,12 @@ app.post('/exam-cards/:regNumber', async (c) => {
           );
         }
         
+        await recordAudit(c, {
+          action: 'document.upload',
+          registrationNumber: registration_number,
+          details: { document_type: 'exam-card', file_url: uploadResult.publicUrl, file_name: file.name }
+        });
+        
         return c.json({ 
           message: 'Exam card uploaded successfully (legacy mode).', 
           registration_number,
@@ -2697,7 +6005,7 @@ app.post('/exam-cards/:regNumber', async (c) => {
 });
 
 // Fee Statement and Receipt Endpoints
-app.get('/students/:id/fee-statement', async (c) => {
+app.get('/students/:id/fee-statement', requireStudentOrAdmin(), async (c) => {
   const studentId = c.req.param('id');
   const { rows } = await pool.query(
     'SELECT statement_url FROM finance WHERE student_id = $1 AND statement_url IS NOT NULL ORDER BY created_at DESC LIMIT 1',
@@ -2707,7 +6015,7 @@ app.get('/students/:id/fee-statement', async (c) => {
   return c.json({ statement_url: rows[0].statement_url });
 });
 
-app.get('/students/:id/fee-receipt', async (c) => {
+app.get('/students/:id/fee-receipt', requireStudentOrAdmin(), async (c) => {
   const studentId = c.req.param('id');
   const { rows } = await pool.query(
     'SELECT receipt_url FROM finance WHERE student_id = $1 AND receipt_url IS NOT NULL ORDER BY created_at DESC LIMIT 1',
@@ -2717,28 +6025,30 @@ app.get('/students/:id/fee-receipt', async (c) => {
   return c.json({ receipt_url: rows[0].receipt_url });
 });
 
-app.post('/students/:id/fee-statement', async (c) => {
+app.post('/students/:id/fee-statement', requireAdmin(ROLES.FINANCE), async (c) => {
   const studentId = c.req.param('id');
   const { statement_url } = await c.req.json();
-  await pool.query(
-    'INSERT INTO finance (student_id, statement_url) VALUES ($1, $2)',
+  const { rows } = await pool.query(
+    'INSERT INTO finance (student_id, statement_url) VALUES ($1, $2) RETURNING *',
     [studentId, statement_url]
   );
+  await recordAudit(c, { action: 'finance.fee_statement.add', studentId, after: rows[0] });
   return c.json({ message: 'Fee statement uploaded.' });
 });
 
-app.post('/students/:id/fee-receipt', async (c) => {
+app.post('/students/:id/fee-receipt', requireAdmin(ROLES.FINANCE), async (c) => {
   const studentId = c.req.param('id');
   const { receipt_url } = await c.req.json();
-  await pool.query(
-    'INSERT INTO finance (student_id, receipt_url) VALUES ($1, $2)',
+  const { rows } = await pool.query(
+    'INSERT INTO finance (student_id, receipt_url) VALUES ($1, $2) RETURNING *',
     [studentId, receipt_url]
   );
+  await recordAudit(c, { action: 'finance.fee_receipt.add', studentId, after: rows[0] });
   return c.json({ message: 'Fee receipt uploaded.' });
 });
 
 // Upload fee statement (admin) - Updated to use modern pattern
-app.post('/students/:id/upload-fee-statement', fileUploadValidator, async (c) => {
+app.post('/students/:id/upload-fee-statement', requireAdmin(ROLES.FINANCE), fileUploadValidator, async (c) => {
   try {
     const studentId = c.req.param('id');
     const { registrationNumber, file } = c.req.valid('form');
@@ -2756,7 +6066,7 @@ app.post('/students/:id/upload-fee-statement', fileUploadValidator, async (c) =>
     }
     
     // Upload file using the generic handler
-    const result = await handleFileUpload(registrationNumber, file, 'fees-statement');
+    const result = await handleFileUpload(registrationNumber, file, 'fees-statement', c);
     
     // Also insert into the legacy finance table for compatibility
     await pool.query(
@@ -2780,7 +6090,7 @@ app.post('/students/:id/upload-fee-statement', fileUploadValidator, async (c) =>
 });
 
 // Upload fee receipt (admin) - Updated to use modern pattern
-app.post('/students/:id/upload-fee-receipt', fileUploadValidator, async (c) => {
+app.post('/students/:id/upload-fee-receipt', requireAdmin(ROLES.FINANCE), fileUploadValidator, async (c) => {
   try {
     const studentId = c.req.param('id');
     const { registrationNumber, file } = c.req.valid('form');
@@ -2798,7 +6108,7 @@ app.post('/students/:id/upload-fee-receipt', fileUploadValidator, async (c) => {
     }
     
     // Upload file using the generic handler
-    const result = await handleFileUpload(registrationNumber, file, 'fees-receipt');
+    const result = await handleFileUpload(registrationNumber, file, 'fees-receipt', c);
     
     // Also insert into the legacy finance table for compatibility
     await pool.query(
@@ -2822,7 +6132,7 @@ app.post('/students/:id/upload-fee-receipt', fileUploadValidator, async (c) => {
 });
 
 // Upload exam results with file (admin) - Updated to use modern pattern
-app.post('/students/:id/upload-results', fileUploadValidator, async (c) => {
+app.post('/students/:id/upload-results', requireAdmin(ROLES.EXAMS), fileUploadValidator, async (c) => {
   try {
     const studentId = c.req.param('id');
     const { registrationNumber, file } = c.req.valid('form');
@@ -2840,7 +6150,7 @@ app.post('/students/:id/upload-results', fileUploadValidator, async (c) => {
     }
     
     // Upload file using the generic handler
-    const result = await handleFileUpload(registrationNumber, file, 'results');
+    const result = await handleFileUpload(registrationNumber, file, 'results', c);
     
     // For compatibility, also store in the legacy results table
     // We'll use a default semester since it's not provided in the modern format
@@ -2874,20 +6184,39 @@ app.post('/students/:id/upload-results', fileUploadValidator, async (c) => {
 });
 
 // Timetable upload endpoint - Updated to use modern pattern  
-app.post('/upload-timetable', fileUploadValidator, async (c) => {
+app.post('/upload-timetable', requireAdmin(ROLES.EXAMS), fileUploadValidator, async (c) => {
   try {
-    const { registrationNumber, file } = c.req.valid('form');
+    const { registrationNumber, file, course: courseField } = c.req.valid('form');
     
     console.log('Timetable upload request received');
     
-    // For timetables, we'll use the registration number as both identifier and course
-    // In a real application, you might want to extract course from the registration number
-    // or require it as a separate field
-    const course = 'General'; // Default course, could be extracted from registration number
+    // The timetable belongs to the "course" form field, or else to the course
+    // of the student whose registration number was given
+    let courseValue = courseField;
+    if (!courseValue) {
+      const { rows: studentRows } = await pool.query(
+        'SELECT course FROM students WHERE registration_number = $1',
+        [registrationNumber]
+      );
+      courseValue = studentRows[0]?.course;
+    }
+    
+    if (!courseValue) {
+      return c.json({ 
+        error: 'Course is required', 
+        details: 'Provide the "course" field; no student has this registration number to take it from' 
+      }, 400);
+    }
+    
+    const { course: catalogueCourse, error: courseError } = await resolveCourse(courseValue);
+    if (courseError) {
+      return c.json({ error: 'Invalid course', details: courseError }, 400);
+    }
+    const course = catalogueCourse.code;
     const semester = 'Current'; // Default semester, could be a form field
     
     // Upload file using the generic handler
-    const result = await handleFileUpload(registrationNumber, file, 'timetable');
+    const result = await handleFileUpload(registrationNumber, file, 'timetable', c);
     
     // Store timetable reference in database for compatibility
     const { rows } = await pool.query(
@@ -2908,57 +6237,327 @@ app.post('/upload-timetable', fileUploadValidator, async (c) => {
     );
     
     return c.json({ 
-      message: 'Timetable uploaded successfully', 
-      timetable: rows[0],
-      file_name: file.name,
-      url: result.data.fileUrl,
-      ...result
+      message: 'Timetable uploaded successfully', 
+      timetable: rows[0],
+      file_name: file.name,
+      url: result.data.fileUrl,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error uploading timetable:', error);
+    return c.json({ 
+      error: 'Failed to upload timetable', 
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }, 500);
+  }
+});
+
+// Add an endpoint to get timetable by course and semester
+app.get('/timetable/:course/:semester', async (c) => {
+  try {
+    const course = await courseCode(c.req.param('course'));
+    const semester = c.req.param('semester');
+    
+    const { rows } = await pool.query(
+      'SELECT * FROM timetables WHERE course = $1 AND semester = $2 ORDER BY created_at DESC LIMIT 1',
+      [course, semester]
+    );
+    
+    if (rows.length === 0) {
+      return c.json({ 
+        error: 'Timetable not found', 
+        details: 'No timetable found for this course and semester' 
+      }, 404);
+    }
+    
+    return c.json(rows[0]);
+  } catch (error) {
+    console.error('Error fetching timetable:', error);
+    return c.json({ 
+      error: 'Failed to fetch timetable', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Test route for new unified upload page
+app.get('/test-unified-upload', (c) => {
+  return c.redirect('/test/test-unified-upload.html');
+});
+
+// Debug route for FormData testing
+app.get('/debug-formdata', (c) => {
+  return c.redirect('/debug-formdata.html');
+});
+
+// =============================================================================
+// COURSE CATALOGUE - Courses students enrol in and timetables are published for
+// =============================================================================
+
+// List courses. Inactive (no longer offered) courses only with include_inactive=true
+app.get('/courses', async (c) => {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    if (!['true', '1', 'yes'].includes(String(c.req.query('include_inactive')).toLowerCase())) {
+      conditions.push('c.is_active');
+    }
+    for (const field of ['department', 'award_level']) {
+      const value = c.req.query(field);
+      if (value) {
+        params.push(value);
+        conditions.push(`lower(c.${field}) = lower($${params.length})`);
+      }
+    }
+    
+    const { rows } = await pool.query(
+      `SELECT c.*, (SELECT COUNT(*)::int FROM students s WHERE s.course_id = c.id) AS student_count
+       FROM courses c
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY c.code`,
+      params
+    );
+    
+    return c.json({ courses: rows, count: rows.length });
+  } catch (error) {
+    console.error('Error fetching courses:', error);
+    return c.json({ 
+      error: 'Failed to fetch courses', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Get a course by code, with its aliases and number of students
+app.get('/courses/:code', async (c) => {
+  try {
+    const course = await getCourse(c.req.param('code'));
+    if (!course) return c.json({ error: 'Course not found' }, 404);
+    
+    return c.json({ course });
+  } catch (error) {
+    console.error('Error fetching course:', error);
+    return c.json({ 
+      error: 'Failed to fetch course', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// 409 response when another course already has one of the code, name or aliases
+// in `values`, or null
+async function courseConflictResponse(c, values, exceptId = null) {
+  const conflicts = await findConflictingCourses(values, exceptId);
+  if (conflicts.length === 0) return null;
+  
+  return c.json({ 
+    error: 'Course already exists', 
+    details: `The code, name or an alias matches ${conflicts.map(course => `${course.code} (${course.name})`).join(', ')}` 
+  }, 409);
+}
+
+// Create a course (admin only)
+app.post('/courses', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validateCourse(body);
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    
+    const conflict = await courseConflictResponse(c, values);
+    if (conflict) return conflict;
+    
+    const { aliases = [], ...fields } = values;
+    const course = await sql.begin(async sql => {
+      const [course] = await sql`INSERT INTO courses ${sql(fields)} RETURNING *`;
+      for (const alias of aliases) {
+        await sql`INSERT INTO course_aliases (alias_key, course_id) VALUES (${alias}, ${course.id})`;
+      }
+      return course;
+    });
+    
+    const created = await getCourse(course.code);
+    await recordAudit(c, { action: 'course.create', after: created, details: { code: created.code } });
+    
+    return c.json({ 
+      message: 'Course created successfully', 
+      course: created 
+    }, 201);
+  } catch (error) {
+    console.error('Error creating course:', error);
+    if (error.code === '23505') {
+      return c.json({ error: 'Course already exists', details: error.detail || error.message }, 409);
+    }
+    return c.json({ 
+      error: 'Failed to create course', 
+      details: error.message 
+    }, 500);
+  }
+});
+
+// Update a course (admin only). The code identifies the course and cannot change;
+// "aliases", when sent, replaces the course's aliases.
+app.patch('/courses/:code', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    const { values, errors } = validateCourse(body, { partial: true });
+    if ('code' in values) {
+      errors.code = 'The course code cannot be changed; create a new course and merge this one into it';
+    }
+    if (Object.keys(errors).length > 0) {
+      return c.json({ error: 'Validation failed', details: errors }, 400);
+    }
+    if (Object.keys(values).length === 0) {
+      return c.json({ 
+        error: 'No fields to update', 
+        details: 'Updatable fields: name, department, award_level, duration_years, duration_semesters, is_active, aliases' 
+      }, 400);
+    }
+    
+    const before = await getCourse(c.req.param('code'));
+    if (!before) return c.json({ error: 'Course not found' }, 404);
+    
+    const conflict = await courseConflictResponse(c, { name: values.name, aliases: values.aliases }, before.id);
+    if (conflict) return conflict;
+    
+    const { aliases, ...fields } = values;
+    await sql.begin(async sql => {
+      if (Object.keys(fields).length > 0) {
+        await sql`UPDATE courses SET ${sql(fields)} WHERE id = ${before.id}`;
+      }
+      if (aliases) {
+        await sql`DELETE FROM course_aliases WHERE course_id = ${before.id}`;
+        for (const alias of aliases) {
+          await sql`INSERT INTO course_aliases (alias_key, course_id) VALUES (${alias}, ${before.id})`;
+        }
+      }
+    });
+    
+    const course = await getCourse(before.code);
+    await recordAudit(c, { 
+      action: 'course.update', 
+      before, 
+      after: course, 
+      details: { code: course.code, fields: Object.keys(values) } 
+    });
+    
+    return c.json({ 
+      message: 'Course updated successfully', 
+      updated_fields: Object.keys(values),
+      course 
     });
   } catch (error) {
-    console.error('Error uploading timetable:', error);
+    console.error('Error updating course:', error);
     return c.json({ 
-      error: 'Failed to upload timetable', 
-      details: error instanceof Error ? error.message : 'Unknown error'
+      error: 'Failed to update course', 
+      details: error.message 
     }, 500);
   }
 });
 
-// Add an endpoint to get timetable by course and semester
-app.get('/timetable/:course/:semester', async (c) => {
+// Delete a course (admin only). Courses with students cannot be deleted; set
+// is_active to false instead, or merge the course into another.
+app.delete('/courses/:code', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
-    const course = c.req.param('course');
-    const semester = c.req.param('semester');
-    
-    const { rows } = await pool.query(
-      'SELECT * FROM timetables WHERE course = $1 AND semester = $2 ORDER BY created_at DESC LIMIT 1',
-      [course, semester]
-    );
+    const course = await getCourse(c.req.param('code'));
+    if (!course) return c.json({ error: 'Course not found' }, 404);
     
-    if (rows.length === 0) {
+    if (course.student_count > 0) {
       return c.json({ 
-        error: 'Timetable not found', 
-        details: 'No timetable found for this course and semester' 
-      }, 404);
+        error: 'Course has students', 
+        details: `${course.student_count} students are enrolled in ${course.code}. Set is_active to false to stop new enrolments, or merge the course into another.` 
+      }, 409);
     }
     
-    return c.json(rows[0]);
+    await pool.query('DELETE FROM courses WHERE id = $1', [course.id]);
+    await recordAudit(c, { action: 'course.delete', before: course, details: { code: course.code } });
+    
+    return c.json({ message: 'Course deleted successfully', course });
   } catch (error) {
-    console.error('Error fetching timetable:', error);
+    console.error('Error deleting course:', error);
     return c.json({ 
-      error: 'Failed to fetch timetable', 
+      error: 'Failed to delete course', 
       details: error.message 
     }, 500);
   }
 });
 
-// Test route for new unified upload page
-app.get('/test-unified-upload', (c) => {
-  return c.redirect('/test/test-unified-upload.html');
-});
-
-// Debug route for FormData testing
-app.get('/debug-formdata', (c) => {
-  return c.redirect('/debug-formdata.html');
+// Merge another course (e.g. a second spelling created by the catalogue migration)
+// into this one (admin only). Its students, timetables and registration number
+// sequences move here and its code and name become aliases of this course.
+app.post('/courses/:code/merge', requireAdmin(ROLES.REGISTRAR), async (c) => {
+  try {
+    let body;
+    try {
+      body = await c.req.json();
+    } catch (jsonError) {
+      return c.json({
+        error: 'Invalid JSON data',
+        details: 'The request body must be valid JSON'
+      }, 400);
+    }
+    
+    if (!body.course) {
+      return c.json({ 
+        error: 'Missing required fields', 
+        details: 'Provide "course": the code of the course to merge into this one' 
+      }, 400);
+    }
+    
+    const target = await getCourse(c.req.param('code'));
+    if (!target) return c.json({ error: 'Course not found' }, 404);
+    
+    const source = await getCourse(body.course);
+    if (!source) {
+      return c.json({ error: 'Course not found', details: `No course with code "${body.course}"` }, 404);
+    }
+    if (source.id === target.id) {
+      return c.json({ error: 'Invalid merge', details: 'A course cannot be merged into itself' }, 400);
+    }
+    
+    const moved = await mergeCourses(source, target);
+    const course = await getCourse(target.code);
+    
+    console.log(`Merged course ${source.code} into ${target.code}: ${moved.students} students, ${moved.timetables} timetables`);
+    await recordAudit(c, { 
+      action: 'course.merge', 
+      before: { course: target, merged: source }, 
+      after: course, 
+      details: { code: target.code, merged_code: source.code, moved } 
+    });
+    
+    return c.json({ 
+      message: `Course ${source.code} merged into ${target.code}`, 
+      moved, 
+      course 
+    });
+  } catch (error) {
+    console.error('Error merging courses:', error);
+    return c.json({ 
+      error: 'Failed to merge courses', 
+      details: error.message 
+    }, 500);
+  }
 });
 
 // =============================================================================
@@ -2983,7 +6582,7 @@ app.get('/units', async (c) => {
 });
 
 // Create a new unit (admin only)
-app.post('/units', async (c) => {
+app.post('/units', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
     const body = await c.req.json();
     const { unit_name, unit_code } = body;
@@ -3013,6 +6612,8 @@ app.post('/units', async (c) => {
       [unit_name, unit_code]
     );
     
+    await recordAudit(c, { action: 'unit.create', after: rows[0] });
+    
     return c.json({ 
       message: 'Unit created successfully',
       unit: rows[0]
@@ -3027,7 +6628,7 @@ app.post('/units', async (c) => {
 });
 
 // Allocate units to a student (admin function)
-app.post('/students/:studentId/allocate-units', async (c) => {
+app.post('/students/:studentId/allocate-units', requireAdmin(ROLES.REGISTRAR), async (c) => {
   try {
     const { studentId } = c.req.param();
     const body = await c.req.json();
@@ -3042,7 +6643,7 @@ app.post('/students/:studentId/allocate-units', async (c) => {
 
     // Verify student exists
     const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1',
       [studentId]
     );
     
@@ -3053,6 +6654,9 @@ app.post('/students/:studentId/allocate-units', async (c) => {
       }, 404);
     }    const student = studentRows[0];
     
+    const finished = finishedStudentResponse(c, student, 'unit allocation');
+    if (finished) return finished;
+    
     // Use direct sql transactions instead of pool.connect
     const allocatedUnits = [];
     const errors = [];
@@ -3111,6 +6715,21 @@ app.post('/students/:studentId/allocate-units', async (c) => {
       throw txError;
     }
     
+    if (allocatedUnits.length > 0) {
+      // Units are allocated again, so a student back from leave is no longer waiting
+      await pool.query(
+        'UPDATE students SET needs_unit_reallocation = false WHERE id = $1 AND needs_unit_reallocation',
+        [student.id]
+      );
+      await recordAudit(c, {
+        action: 'unit.allocate',
+        studentId: student.id,
+        registrationNumber: student.registration_number,
+        after: { allocated_units: allocatedUnits },
+        details: { semester, academic_year }
+      });
+    }
+    
     return c.json({ 
       message: 'Unit allocation completed',
       student: student,
@@ -3133,9 +6752,9 @@ app.post('/students/:studentId/allocate-units', async (c) => {
 });
 
 // Allocate units to a student by registration number (admin function)
-app.post('/students/registration/:regNumber/allocate-units', async (c) => {
+app.on('POST', regNumberPaths('/students/registration', '/allocate-units'), requireAdmin(ROLES.REGISTRAR), resolveRegistrationNumber(), async (c) => {
   try {
-    const { regNumber } = c.req.param();
+    const regNumber = c.get('registrationNumber');
     console.log('Allocating units for registration number:', regNumber);
     
     // Find student by registration number
@@ -3166,7 +6785,7 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
 
     // Verify student exists
     const { rows: studentVerifyRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
+      'SELECT id, registration_number, name, status FROM students WHERE id = $1',
       [studentId]
     );
     
@@ -3177,6 +6796,9 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
       }, 404);
     }    const student = studentVerifyRows[0];
     
+    const finished = finishedStudentResponse(c, student, 'unit allocation');
+    if (finished) return finished;
+    
     // Use direct sql transactions instead of pool.connect
     const allocatedUnits = [];
     const errors = [];
@@ -3235,6 +6857,21 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
       throw txError;
     }
     
+    if (allocatedUnits.length > 0) {
+      // Units are allocated again, so a student back from leave is no longer waiting
+      await pool.query(
+        'UPDATE students SET needs_unit_reallocation = false WHERE id = $1 AND needs_unit_reallocation',
+        [student.id]
+      );
+      await recordAudit(c, {
+        action: 'unit.allocate',
+        studentId: student.id,
+        registrationNumber: student.registration_number,
+        after: { allocated_units: allocatedUnits },
+        details: { semester, academic_year }
+      });
+    }
+    
     return c.json({
       message: 'Unit allocation completed',
       student: {
@@ -3260,140 +6897,10 @@ app.post('/students/registration/:regNumber/allocate-units', async (c) => {
   }
 });
 
-// Allocate units to a student by registration number with slash support (admin function)
-app.post('/students/registration/:course/:number/:year/allocate-units', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    console.log('Allocating units for registration number:', registration_number);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-    
-    const studentId = studentRows[0].id;
-    const body = await c.req.json();
-    const { unit_ids, semester = 1, academic_year = '2024/2025', notes } = body;
-    
-    if (!unit_ids || !Array.isArray(unit_ids) || unit_ids.length === 0) {
-      return c.json({ 
-        error: 'Missing required fields', 
-        details: 'unit_ids array is required and cannot be empty' 
-      }, 400);
-    }
-
-    // Verify student exists
-    const { rows: studentVerifyRows } = await pool.query(
-      'SELECT id, registration_number, name FROM students WHERE id = $1',
-      [studentId]
-    );
-    
-    if (studentVerifyRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'Student ID not found in database' 
-      }, 404);
-    }
-
-    const student = studentVerifyRows[0];
-      // Begin transaction using postgres package
-    let allocatedUnits = [];
-    let errors = [];
-    
-    try {
-      await sql.begin(async sql => {
-        for (const unit_id of unit_ids) {
-          try {
-            // Check if unit exists
-            const unitRows = await sql`
-              SELECT id, unit_name, unit_code FROM units WHERE id = ${unit_id}
-            `;
-            
-            if (unitRows.length === 0) {
-              errors.push(`Unit with ID ${unit_id} not found`);
-              continue;
-            }
-            
-            const unit = unitRows[0];
-            
-            // Check if already allocated
-            const existingRows = await sql`
-              SELECT id FROM allocated_units 
-              WHERE student_id = ${studentId} 
-                AND unit_id = ${unit_id} 
-                AND semester = ${semester} 
-                AND academic_year = ${academic_year} 
-                AND status != ${'cancelled'}
-            `;
-            
-            if (existingRows.length > 0) {
-              errors.push(`Unit ${unit.unit_code} already allocated for this semester`);
-              continue;
-            }
-            
-            // Insert allocation
-            const insertedRows = await sql`
-              INSERT INTO allocated_units (student_id, unit_id, semester, academic_year, status, notes) 
-              VALUES (${studentId}, ${unit_id}, ${semester}, ${academic_year}, ${'allocated'}, ${notes || null}) 
-              RETURNING *
-            `;
-            
-            allocatedUnits.push({
-              ...insertedRows[0],
-              unit_name: unit.unit_name,
-              unit_code: unit.unit_code
-            });
-            
-          } catch (unitError) {
-            console.error(`Error allocating unit ${unit_id}:`, unitError);
-            errors.push(`Failed to allocate unit ${unit_id}: ${unitError.message}`);
-          }
-        }
-      });
-      
-      return c.json({
-        message: 'Unit allocation completed',
-        student: {
-          id: student.id,
-          registration_number: student.registration_number,
-          name: student.name
-        },
-        allocated_units: allocatedUnits,
-        summary: {
-          total_requested: unit_ids.length,
-          successfully_allocated: allocatedUnits.length,
-          errors: errors.length
-        },
-        errors: errors.length > 0 ? errors : undefined
-      });
-      
-    } catch (txError) {
-      throw txError;
-    }
-    
-  } catch (error) {
-    console.error('Error allocating units:', error);
-    return c.json({ 
-      error: 'Failed to allocate units', 
-      details: error.message 
-    }, 500);
-  }
-});
-
-// Get allocated units for a student by registration number (simple format)
-app.get('/students/registration/:regNumber/allocated-units', async (c) => {
+// Get allocated units for a student by registration number
+app.on('GET', regNumberPaths('/students/registration', '/allocated-units'), requireStudentOrAdmin(), resolveRegistrationNumber(), async (c) => {
   try {
-    const { regNumber } = c.req.param();
+    const regNumber = c.get('registrationNumber');
     
     console.log('Getting allocated units for registration number:', regNumber);
     
@@ -3444,64 +6951,10 @@ app.get('/students/registration/:regNumber/allocated-units', async (c) => {
   }
 });
 
-// Get allocated units for a student by registration number (with slash support)
-app.get('/students/registration/:course/:number/:year/allocated-units', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    console.log('Getting allocated units for registration number:', registration_number);
-    
-    // Find student by registration number
-    const { rows: studentRows } = await pool.query(
-      'SELECT id, name, registration_number FROM students WHERE registration_number = $1',
-      [registration_number]
-    );
-    
-    if (studentRows.length === 0) {
-      return c.json({ 
-        error: 'Student not found', 
-        details: 'No student found with the provided registration number' 
-      }, 404);
-    }
-    
-    const student = studentRows[0];
-    
-    // Get allocated units for this student
-    const { rows: allocatedUnits } = await pool.query(`
-      SELECT 
-        au.*,
-        u.unit_name,
-        u.unit_code
-      FROM allocated_units au
-      JOIN units u ON au.unit_id = u.id
-      WHERE au.student_id = $1
-      ORDER BY au.semester, u.unit_code
-    `, [student.id]);
-    
-    return c.json({
-      success: true,
-      student: {
-        id: student.id,
-        name: student.name,
-        registration_number: student.registration_number
-      },
-      allocated_units: allocatedUnits,
-      count: allocatedUnits.length
-    });
-    
-  } catch (error) {
-    console.error('Error getting allocated units:', error);
-    return c.json({ 
-      error: 'Failed to get allocated units', 
-      details: error.message    }, 500);
-  }
-});
-
 // Upload/Update student photo endpoint
-app.post('/students/registration/:regNumber/upload-photo', async (c) => {
+app.on('POST', regNumberPaths('/students/registration', '/upload-photo'), requireAdmin(ROLES.REGISTRAR), resolveRegistrationNumber(), async (c) => {
   try {
-    const { regNumber } = c.req.param();
+    const regNumber = c.get('registrationNumber');
     console.log('Photo upload request for student:', regNumber);
     
     const formData = await c.req.formData();
@@ -3533,7 +6986,7 @@ app.post('/students/registration/:regNumber/upload-photo', async (c) => {
     
     // Find student by registration number
     const { rows: studentRows } = await pool.query(
-      'SELECT id FROM students WHERE registration_number = $1',
+      'SELECT id, photo_url FROM students WHERE registration_number = $1',
       [regNumber]
     );
     
@@ -3560,6 +7013,14 @@ app.post('/students/registration/:regNumber/upload-photo', async (c) => {
       
       console.log('Photo uploaded and student updated successfully:', uploadResult.publicUrl);
       
+      await recordAudit(c, {
+        action: 'student.photo.upload',
+        studentId: studentRows[0].id,
+        registrationNumber: regNumber,
+        before: { photo_url: studentRows[0].photo_url },
+        after: { photo_url: uploadResult.publicUrl }
+      });
+      
       return c.json({ 
         message: 'Photo uploaded successfully',
         photo_url: uploadResult.publicUrl,
@@ -3584,9 +7045,9 @@ app.post('/students/registration/:regNumber/upload-photo', async (c) => {
 });
 
 // Register allocated unit for student by registration number (student function)
-app.post('/students/registration/:regNumber/register-allocated-unit', async (c) => {
+app.on('POST', regNumberPaths('/students/registration', '/register-allocated-unit'), requireStudentOrAdmin(), resolveRegistrationNumber(), async (c) => {
   try {
-    const { regNumber } = c.req.param();
+    const regNumber = c.get('registrationNumber');
     const body = await c.req.json();
     const { allocated_unit_id } = body;
     
@@ -3599,7 +7060,7 @@ app.post('/students/registration/:regNumber/register-allocated-unit', async (c)
 
     // Find student by registration number
     const { rows: studentRows } = await pool.query(
-      'SELECT id, registration_number FROM students WHERE registration_number = $1',
+      'SELECT id, registration_number, status FROM students WHERE registration_number = $1',
       [regNumber]
     );
     
@@ -3612,6 +7073,9 @@ app.post('/students/registration/:regNumber/register-allocated-unit', async (c)
 
     const student = studentRows[0];
     
+    const finished = finishedStudentResponse(c, student, 'unit registration');
+    if (finished) return finished;
+    
     // Get the allocated unit details and verify it belongs to this student
     const { rows: allocatedRows } = await pool.query(`
       SELECT au.*, u.unit_name, u.unit_code 
@@ -3657,6 +7121,14 @@ app.post('/students/registration/:regNumber/register-allocated-unit', async (c)
         registeredUnit = registeredRows[0];
       });
       
+      await recordAudit(c, {
+        action: 'unit.register',
+        studentId: student.id,
+        registrationNumber: student.registration_number,
+        before: { allocated_unit: allocatedUnit },
+        after: registeredUnit
+      });
+      
       return c.json({ 
         message: 'Unit registered successfully',
         registered_unit: registeredUnit,
@@ -3676,29 +7148,6 @@ app.post('/students/registration/:regNumber/register-allocated-unit', async (c)
   }
 });
 
-// Register allocated unit for student by registration number with slash support (student function)
-app.post('/students/registration/:course/:number/:year/register-allocated-unit', async (c) => {
-  try {
-    const { course, number, year } = c.req.param();
-    const registration_number = `${course}/${number}/${year}`;
-    
-    // Forward to the main registration endpoint
-    c.req.param = () => ({ regNumber: registration_number });
-    return app.fetch(c.req.raw.clone().url.replace(`/registration/${course}/${number}/${year}/`, `/registration/${registration_number}/`), {
-      method: c.req.method,
-      headers: c.req.raw.headers,
-      body: c.req.raw.body
-    }).then(res => res.json()).then(data => c.json(data));
-    
-  } catch (error) {
-    console.error('Error in registration-based unit registration:', error);
-    return c.json({ 
-      error: 'Failed to register allocated unit', 
-      details: error.message 
-    }, 500);
-  }
-});
-
 // Start the server
 const port = process.env.PORT || 3000;
 
@@ -42,6 +42,11 @@ async function initializeDatabase() {
         id uuid NOT NULL DEFAULT gen_random_uuid(),
         username character varying NOT NULL UNIQUE,
         password_hash text NOT NULL,
+        roles text[] NOT NULL DEFAULT ARRAY[]::text[],
+        is_active boolean NOT NULL DEFAULT true,
+        deactivated_at timestamp with time zone,
+        created_at timestamp with time zone DEFAULT now(),
+        password_changed_at timestamp with time zone,
         CONSTRAINT admins_pkey PRIMARY KEY (id)
       );
     `);
@@ -141,19 +146,10 @@ async function initializeDatabase() {
     `);
     console.log('Created units table');
 
-    // Create default admin user
-    console.log('Checking for default admin user...');
-    const adminExists = await pool.query('SELECT * FROM admins WHERE username = $1', ['admin']);
-    if (adminExists.rows.length === 0) {
-      const bcrypt = await import('bcryptjs');
-      const hashedPassword = await bcrypt.hash('admin123', 10);
-      await pool.query(
-        'INSERT INTO admins (username, password_hash) VALUES ($1, $2)',
-        ['admin', hashedPassword]
-      );
-      console.log('Created default admin user (username: admin, password: admin123)');
-    } else {
-      console.log('Default admin user already exists');
+    // No default admin is created; the first super-admin is set up with create-admin
+    const { rows: adminRows } = await pool.query('SELECT COUNT(*)::int AS count FROM admins');
+    if (adminRows[0].count === 0) {
+      console.log('No admin users exist yet. Create one with: npm run create-admin <username> <password>');
     }
 
     console.log('Database initialization completed successfully!');
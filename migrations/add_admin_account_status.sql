@@ -0,0 +1,8 @@
+-- Admin account management: deactivation instead of deletion, and basic bookkeeping
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS is_active boolean NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS deactivated_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS created_at timestamp with time zone DEFAULT now(),
+ADD COLUMN IF NOT EXISTS password_changed_at timestamp with time zone;
+
+COMMENT ON COLUMN public.admins.is_active IS 'Deactivated admins cannot log in; their sessions are revoked on deactivation';
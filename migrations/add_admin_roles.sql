@@ -0,0 +1,13 @@
+-- Add roles column to admins table for role-based authorization
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS roles text[] NOT NULL DEFAULT ARRAY[]::text[];
+
+-- Only allow known roles
+ALTER TABLE public.admins DROP CONSTRAINT IF EXISTS admins_roles_check;
+ALTER TABLE public.admins 
+ADD CONSTRAINT admins_roles_check CHECK (roles <@ ARRAY['super-admin', 'registrar', 'finance', 'exams']::text[]);
+
+-- Existing admins keep full access
+UPDATE public.admins SET roles = ARRAY['super-admin'] WHERE cardinality(roles) = 0;
+
+COMMENT ON COLUMN public.admins.roles IS 'Admin roles: super-admin, registrar, finance, exams';
@@ -0,0 +1,22 @@
+-- Optional TOTP two-factor authentication for admins
+ALTER TABLE public.admins 
+ADD COLUMN IF NOT EXISTS totp_secret text,
+ADD COLUMN IF NOT EXISTS totp_enabled boolean NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS totp_enabled_at timestamp with time zone,
+ADD COLUMN IF NOT EXISTS totp_last_used_step bigint;
+
+-- One-time recovery codes (stored as SHA-256 hashes)
+CREATE TABLE IF NOT EXISTS public.admin_recovery_codes (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  admin_id uuid NOT NULL,
+  code_hash character varying(64) NOT NULL,
+  used_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT admin_recovery_codes_pkey PRIMARY KEY (id),
+  CONSTRAINT admin_recovery_codes_admin_id_fkey FOREIGN KEY (admin_id) REFERENCES public.admins(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin_id ON public.admin_recovery_codes(admin_id);
+
+COMMENT ON COLUMN public.admins.totp_secret IS 'Base32 TOTP secret; set during enrolment, active once totp_enabled is true';
+COMMENT ON COLUMN public.admins.totp_last_used_step IS 'Last accepted TOTP time step, prevents reusing a code';
@@ -0,0 +1,6 @@
+-- Library and academic department staff sign off deregistration clearances
+ALTER TABLE public.admins DROP CONSTRAINT IF EXISTS admins_roles_check;
+ALTER TABLE public.admins 
+ADD CONSTRAINT admins_roles_check CHECK (roles <@ ARRAY['super-admin', 'registrar', 'finance', 'exams', 'library', 'department']::text[]);
+
+COMMENT ON COLUMN public.admins.roles IS 'Admin roles: super-admin, registrar, finance, exams, library, department';
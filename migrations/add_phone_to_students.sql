@@ -0,0 +1,6 @@
+-- Contact phone number students can maintain themselves
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS phone character varying(20);
+
+-- Speeds up the national ID uniqueness check on profile updates
+CREATE INDEX IF NOT EXISTS idx_students_national_id ON public.students(national_id);
@@ -0,0 +1,5 @@
+-- Lookups used by duplicate student detection on create and import
+-- (national_id is already indexed by add_phone_to_students.sql)
+CREATE INDEX IF NOT EXISTS idx_students_birth_certificate ON public.students(birth_certificate);
+CREATE INDEX IF NOT EXISTS idx_students_email_lower ON public.students(lower(email));
+CREATE INDEX IF NOT EXISTS idx_students_date_of_birth ON public.students(date_of_birth);
@@ -0,0 +1,8 @@
+-- Students returning from academic leave need their units allocated again.
+-- Set by the leave expiry job, cleared when units are allocated.
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS needs_unit_reallocation boolean NOT NULL DEFAULT false;
+
+-- Speeds up the leave expiry job's search for ended leaves
+CREATE INDEX IF NOT EXISTS idx_students_academic_leave_end 
+ON public.students(academic_leave_end) WHERE status = 'on_leave';
@@ -0,0 +1,9 @@
+-- Trigger function that sets updated_at on every update. Defined before the
+-- create_* migrations, which run in name order and attach it to their tables.
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
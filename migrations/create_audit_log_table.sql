@@ -0,0 +1,28 @@
+-- Audit trail of administrative writes to student records
+CREATE TABLE IF NOT EXISTS public.audit_log (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  actor_type character varying(20) NOT NULL,
+  actor_id uuid,
+  actor_username character varying,
+  action character varying(100) NOT NULL,
+  student_id uuid,
+  registration_number character varying,
+  before jsonb,
+  after jsonb,
+  details jsonb,
+  ip_address character varying(64),
+  user_agent text,
+  method character varying(10),
+  path text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT audit_log_pkey PRIMARY KEY (id)
+);
+
+-- No foreign key on student_id: entries must outlive deleted students
+CREATE INDEX IF NOT EXISTS idx_audit_log_student_id ON public.audit_log(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_registration_number ON public.audit_log(registration_number);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON public.audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON public.audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON public.audit_log(created_at DESC);
+
+COMMENT ON TABLE public.audit_log IS 'Who changed which student record, when, and the before/after snapshot';
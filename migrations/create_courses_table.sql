@@ -0,0 +1,52 @@
+-- Course catalogue. students.course keeps the course name; course_id links the record.
+-- Free-text spellings ("Diploma in IT", "DIT", "Dip. I.T.") are matched through
+-- course_key(), which ignores case, spaces and punctuation, and course_aliases.
+CREATE OR REPLACE FUNCTION public.course_key(value text)
+RETURNS text
+IMMUTABLE
+AS $$ SELECT lower(regexp_replace(value, '[^A-Za-z0-9]+', '', 'g')) $$ LANGUAGE sql;
+
+CREATE TABLE IF NOT EXISTS public.courses (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  code character varying(20) NOT NULL,
+  name character varying(255) NOT NULL,
+  department character varying(255),
+  award_level character varying(30) NOT NULL,
+  duration_years smallint,
+  duration_semesters smallint,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT courses_pkey PRIMARY KEY (id),
+  CONSTRAINT courses_code_key UNIQUE (code),
+  CONSTRAINT courses_award_level_check CHECK (award_level IN (
+    'certificate', 'diploma', 'higher_diploma', 'bachelors', 'postgraduate_diploma', 'masters', 'doctorate'
+  )),
+  CONSTRAINT courses_duration_years_check CHECK (duration_years BETWEEN 1 AND 10),
+  CONSTRAINT courses_duration_semesters_check CHECK (duration_semesters BETWEEN 1 AND 30)
+);
+
+CREATE INDEX IF NOT EXISTS idx_courses_code_key ON public.courses(course_key(code));
+CREATE INDEX IF NOT EXISTS idx_courses_name_key ON public.courses(course_key(name));
+
+-- Other spellings of a course, stored as course_key() values
+CREATE TABLE IF NOT EXISTS public.course_aliases (
+  alias_key character varying(255) NOT NULL,
+  course_id uuid NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT course_aliases_pkey PRIMARY KEY (alias_key),
+  CONSTRAINT course_aliases_course_id_fkey FOREIGN KEY (course_id) REFERENCES public.courses(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_aliases_course_id ON public.course_aliases(course_id);
+
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS course_id uuid REFERENCES public.courses(id);
+
+CREATE INDEX IF NOT EXISTS idx_students_course_id ON public.students(course_id);
+
+DROP TRIGGER IF EXISTS update_courses_updated_at ON public.courses;
+CREATE TRIGGER update_courses_updated_at
+    BEFORE UPDATE ON public.courses
+    FOR EACH ROW
+    EXECUTE PROCEDURE update_updated_at_column();
@@ -0,0 +1,49 @@
+-- Deregistration clearance workflow. A request is opened for a student, each
+-- department (finance, library, academic department) signs off its clearance,
+-- and the registrar's final approval deregisters the student.
+CREATE TABLE IF NOT EXISTS public.deregistration_requests (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  reason text NOT NULL,
+  status character varying(20) NOT NULL DEFAULT 'pending',
+  requested_by uuid,
+  requested_by_username character varying,
+  decision_comments text,
+  decided_by uuid,
+  decided_by_username character varying,
+  decided_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT deregistration_requests_pkey PRIMARY KEY (id),
+  CONSTRAINT deregistration_requests_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT deregistration_requests_status_check CHECK (status IN ('pending', 'approved', 'rejected'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_deregistration_requests_student_id ON public.deregistration_requests(student_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_deregistration_requests_status ON public.deregistration_requests(status, created_at);
+
+-- A student can only have one open request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deregistration_requests_one_pending 
+ON public.deregistration_requests(student_id) WHERE status = 'pending';
+
+-- One sign-off step per department and request
+CREATE TABLE IF NOT EXISTS public.deregistration_clearances (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  request_id uuid NOT NULL,
+  department character varying(20) NOT NULL,
+  status character varying(20) NOT NULL DEFAULT 'pending',
+  comments text,
+  signed_by uuid,
+  signed_by_username character varying,
+  signed_at timestamp with time zone,
+  CONSTRAINT deregistration_clearances_pkey PRIMARY KEY (id),
+  CONSTRAINT deregistration_clearances_request_id_fkey FOREIGN KEY (request_id) REFERENCES public.deregistration_requests(id) ON DELETE CASCADE,
+  CONSTRAINT deregistration_clearances_department_key UNIQUE (request_id, department),
+  CONSTRAINT deregistration_clearances_status_check CHECK (status IN ('pending', 'cleared', 'blocked'))
+);
+
+DROP TRIGGER IF EXISTS update_deregistration_requests_updated_at ON public.deregistration_requests;
+CREATE TRIGGER update_deregistration_requests_updated_at
+    BEFORE UPDATE ON public.deregistration_requests
+    FOR EACH ROW
+    EXECUTE PROCEDURE update_updated_at_column();
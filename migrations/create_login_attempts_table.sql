@@ -0,0 +1,28 @@
+-- Login throttling for student and admin logins
+-- login_attempts keeps a record of every failed login for admins to review
+CREATE TABLE IF NOT EXISTS public.login_attempts (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_type character varying(20) NOT NULL CHECK (account_type = ANY (ARRAY['student', 'admin'])),
+  identifier character varying NOT NULL, -- registration number or admin username
+  ip_address character varying(64),
+  user_agent text,
+  reason character varying(50) NOT NULL,
+  attempted_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT login_attempts_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_account ON public.login_attempts(account_type, identifier);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON public.login_attempts(ip_address, attempted_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_attempted_at ON public.login_attempts(attempted_at);
+
+-- login_throttle holds the current failure count and lockout per account
+CREATE TABLE IF NOT EXISTS public.login_throttle (
+  account_type character varying(20) NOT NULL,
+  identifier character varying NOT NULL,
+  failed_count integer NOT NULL DEFAULT 0,
+  last_failed_at timestamp with time zone,
+  locked_until timestamp with time zone,
+  CONSTRAINT login_throttle_pkey PRIMARY KEY (account_type, identifier)
+);
+
+COMMENT ON COLUMN public.login_attempts.reason IS 'unknown_account, invalid_password, locked, throttled, ip_blocked';
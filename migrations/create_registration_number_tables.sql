@@ -0,0 +1,27 @@
+-- Registration number generator. Each course has a pattern (prefix, zero-padded
+-- sequence, intake year); the sequence table hands out the next number per
+-- course and intake atomically.
+CREATE TABLE IF NOT EXISTS public.registration_number_patterns (
+  course character varying(100) NOT NULL,
+  prefix character varying(20) NOT NULL,
+  sequence_digits integer NOT NULL DEFAULT 4,
+  format character varying(50) NOT NULL DEFAULT '{prefix}/{seq}/{year}',
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT registration_number_patterns_pkey PRIMARY KEY (course),
+  CONSTRAINT registration_number_patterns_digits_check CHECK (sequence_digits BETWEEN 1 AND 8)
+);
+
+CREATE TABLE IF NOT EXISTS public.registration_number_sequences (
+  course character varying(100) NOT NULL,
+  intake_year integer NOT NULL,
+  last_value integer NOT NULL DEFAULT 0,
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT registration_number_sequences_pkey PRIMARY KEY (course, intake_year)
+);
+
+DROP TRIGGER IF EXISTS update_registration_number_patterns_updated_at ON public.registration_number_patterns;
+CREATE TRIGGER update_registration_number_patterns_updated_at
+    BEFORE UPDATE ON public.registration_number_patterns
+    FOR EACH ROW
+    EXECUTE PROCEDURE update_updated_at_column();
@@ -0,0 +1,19 @@
+-- Login sessions backing refresh tokens, logout and token revocation
+-- Access tokens carry the session id (sid) and are rejected once the session is revoked
+CREATE TABLE IF NOT EXISTS public.sessions (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  account_type character varying(20) NOT NULL CHECK (account_type = ANY (ARRAY['student', 'admin'])),
+  account_id uuid NOT NULL, -- students.id or admins.id
+  refresh_token_hash character varying(64) NOT NULL UNIQUE,
+  ip_address character varying(64),
+  user_agent text,
+  created_at timestamp with time zone DEFAULT now(),
+  last_refreshed_at timestamp with time zone,
+  expires_at timestamp with time zone NOT NULL,
+  revoked_at timestamp with time zone,
+  revoked_reason character varying(100),
+  CONSTRAINT sessions_pkey PRIMARY KEY (id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_account ON public.sessions(account_type, account_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON public.sessions(expires_at);
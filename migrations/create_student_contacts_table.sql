@@ -0,0 +1,29 @@
+-- Guardians, sponsors and emergency contacts of students (next of kin for minors)
+CREATE TABLE IF NOT EXISTS public.student_contacts (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  contact_type character varying(20) NOT NULL,
+  name character varying(255) NOT NULL,
+  relationship character varying(50),
+  phone character varying(20) NOT NULL,
+  email character varying(254),
+  address text,
+  is_primary boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT student_contacts_pkey PRIMARY KEY (id),
+  CONSTRAINT student_contacts_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT student_contacts_type_check CHECK (contact_type IN ('guardian', 'sponsor', 'emergency'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_contacts_student_id ON public.student_contacts(student_id);
+
+-- At most one primary contact of each type per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_contacts_one_primary 
+ON public.student_contacts(student_id, contact_type) WHERE is_primary;
+
+DROP TRIGGER IF EXISTS update_student_contacts_updated_at ON public.student_contacts;
+CREATE TRIGGER update_student_contacts_updated_at
+    BEFORE UPDATE ON public.student_contacts
+    FOR EACH ROW
+    EXECUTE PROCEDURE update_updated_at_column();
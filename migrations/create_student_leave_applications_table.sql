@@ -0,0 +1,35 @@
+-- Academic leave applications submitted by students and approved or rejected
+-- by the registry. Approval puts the student on leave like the admin routes do.
+CREATE TABLE IF NOT EXISTS public.leave_applications (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  reason text NOT NULL,
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  document_id uuid,
+  status character varying(20) NOT NULL DEFAULT 'pending',
+  review_comments text,
+  reviewed_by uuid,
+  reviewed_by_username character varying,
+  reviewed_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT leave_applications_pkey PRIMARY KEY (id),
+  CONSTRAINT leave_applications_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE,
+  CONSTRAINT leave_applications_document_id_fkey FOREIGN KEY (document_id) REFERENCES public.student_documents(id) ON DELETE SET NULL,
+  CONSTRAINT leave_applications_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+  CONSTRAINT leave_applications_dates_check CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_applications_student_id ON public.leave_applications(student_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_leave_applications_status ON public.leave_applications(status, created_at);
+
+-- A student can only have one application awaiting a decision
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leave_applications_one_pending 
+ON public.leave_applications(student_id) WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS update_leave_applications_updated_at ON public.leave_applications;
+CREATE TRIGGER update_leave_applications_updated_at
+    BEFORE UPDATE ON public.leave_applications
+    FOR EACH ROW
+    EXECUTE PROCEDURE update_updated_at_column();
@@ -0,0 +1,36 @@
+-- Timeline of student status changes (leave, deregistration, restoration...).
+-- The students row only holds the current status; each change appends a row here
+-- with the reason and dates that applied, including those the change cleared.
+CREATE TABLE IF NOT EXISTS public.student_status_history (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL,
+  from_status character varying(20),
+  to_status character varying(20) NOT NULL,
+  reason text,
+  start_date date,
+  end_date date,
+  previous_details jsonb,
+  changed_by_type character varying(20) NOT NULL DEFAULT 'system',
+  changed_by_id uuid,
+  changed_by_username character varying,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT student_status_history_pkey PRIMARY KEY (id),
+  CONSTRAINT student_status_history_student_id_fkey FOREIGN KEY (student_id) REFERENCES public.students(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_status_history_student_id ON public.student_status_history(student_id, created_at);
+
+-- Seed the timeline with the current leave/deregistration of existing students
+INSERT INTO public.student_status_history (student_id, from_status, to_status, reason, start_date, end_date)
+SELECT s.id, 'active', 'on_leave', s.academic_leave_reason, s.academic_leave_start, s.academic_leave_end
+FROM public.students s
+WHERE s.status = 'on_leave'
+  AND NOT EXISTS (SELECT 1 FROM public.student_status_history h WHERE h.student_id = s.id);
+
+INSERT INTO public.student_status_history (student_id, from_status, to_status, reason, start_date)
+SELECT s.id, 'active', 'deregistered', s.deregistration_reason, s.deregistration_date
+FROM public.students s
+WHERE s.status = 'deregistered'
+  AND NOT EXISTS (SELECT 1 FROM public.student_status_history h WHERE h.student_id = s.id);
+
+COMMENT ON COLUMN public.student_status_history.previous_details IS 'Leave/deregistration fields as they were before the change';
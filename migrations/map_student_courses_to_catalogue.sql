@@ -0,0 +1,101 @@
+-- Map the free-text students.course values onto the course catalogue.
+-- Values that differ only in case, spaces or punctuation become one course, named after
+-- the most common spelling; students keep their course text and are linked by course_id.
+-- Codes are the initials of the name, keeping abbreviations whole ("Diploma in IT" -> DIT);
+-- names that give the same initials get numbered codes (DIT, DIT2). Numbered codes often
+-- mean two spellings of one course ("DIT" and "Diploma in IT"): review GET /courses
+-- afterwards and combine them with POST /courses/:code/merge.
+
+-- Initials of a course name, or the name itself when it is already a short code
+CREATE OR REPLACE FUNCTION course_initials(value text)
+RETURNS text
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN trim(value) ~ '^[A-Za-z0-9-]{2,20}$' THEN upper(trim(value))
+    ELSE COALESCE(
+      (SELECT NULLIF(left(upper(string_agg(CASE WHEN w ~ '^[A-Z0-9]{2,}$' THEN w ELSE left(w, 1) END, '' ORDER BY n)), 16), '')
+       FROM regexp_split_to_table(trim(value), '[^A-Za-z0-9]+') WITH ORDINALITY AS t(w, n)
+       WHERE w <> '' AND lower(w) NOT IN ('a', 'an', 'and', 'the', 'in', 'of', 'for', 'with', 'on')),
+      upper(left(course_key(value), 20))
+    )
+  END
+$$ LANGUAGE sql;
+
+INSERT INTO public.courses (code, name, award_level)
+SELECT
+  CASE WHEN length(ranked.base) < 2 THEN upper(left(course_key(ranked.name), 18)) ELSE ranked.base END
+    || CASE WHEN ranked.rn > 1 THEN ranked.rn::text ELSE '' END,
+  ranked.name,
+  CASE
+    WHEN ranked.name ~* '(phd|doctor)' THEN 'doctorate'
+    WHEN ranked.name ~* '(master|\mmsc\M|\mmba\M|\mma\M)' THEN 'masters'
+    WHEN ranked.name ~* 'post ?graduate' THEN 'postgraduate_diploma'
+    WHEN ranked.name ~* 'higher diploma' THEN 'higher_diploma'
+    WHEN ranked.name ~* '(diploma|^dip\M)' THEN 'diploma'
+    WHEN ranked.name ~* '(certificate|^cert\M)' THEN 'certificate'
+    ELSE 'bachelors'
+  END
+FROM (
+  SELECT spellings.name, spellings.base,
+         row_number() OVER (PARTITION BY spellings.base ORDER BY spellings.students DESC, spellings.name) AS rn
+  FROM (
+    SELECT mode() WITHIN GROUP (ORDER BY trim(s.course)) AS name,
+           left(course_initials(mode() WITHIN GROUP (ORDER BY trim(s.course))), 18) AS base,
+           count(*) AS students
+    FROM public.students s
+    WHERE s.course IS NOT NULL AND course_key(s.course) <> ''
+      AND NOT EXISTS (
+        SELECT 1 FROM public.courses c
+        WHERE course_key(c.code) = course_key(s.course) OR course_key(c.name) = course_key(s.course)
+      )
+      AND NOT EXISTS (SELECT 1 FROM public.course_aliases a WHERE a.alias_key = course_key(s.course))
+    GROUP BY course_key(s.course)
+  ) spellings
+) ranked
+ON CONFLICT (code) DO NOTHING;
+
+DROP FUNCTION course_initials(text);
+
+-- Link students; their course text is left as it was entered
+UPDATE public.students s
+SET course_id = c.id
+FROM public.courses c
+WHERE s.course_id IS NULL AND (
+  course_key(s.course) = course_key(c.code)
+  OR course_key(s.course) = course_key(c.name)
+  OR EXISTS (SELECT 1 FROM public.course_aliases a WHERE a.course_id = c.id AND a.alias_key = course_key(s.course))
+);
+
+-- Timetables and registration number patterns are looked up by course code
+UPDATE public.timetables t
+SET course = c.code
+FROM public.courses c
+WHERE t.course <> c.code AND (
+  course_key(t.course) = course_key(c.code)
+  OR course_key(t.course) = course_key(c.name)
+  OR EXISTS (SELECT 1 FROM public.course_aliases a WHERE a.course_id = c.id AND a.alias_key = course_key(t.course))
+);
+
+UPDATE public.registration_number_patterns p
+SET course = c.code
+FROM public.courses c
+WHERE p.course <> c.code AND (
+  course_key(p.course) = course_key(c.code)
+  OR course_key(p.course) = course_key(c.name)
+  OR EXISTS (SELECT 1 FROM public.course_aliases a WHERE a.course_id = c.id AND a.alias_key = course_key(p.course))
+)
+AND NOT EXISTS (SELECT 1 FROM public.registration_number_patterns p2 WHERE p2.course = c.code);
+
+UPDATE public.registration_number_sequences q
+SET course = c.code
+FROM public.courses c
+WHERE q.course <> c.code AND (
+  course_key(q.course) = course_key(c.code)
+  OR course_key(q.course) = course_key(c.name)
+  OR EXISTS (SELECT 1 FROM public.course_aliases a WHERE a.course_id = c.id AND a.alias_key = course_key(q.course))
+)
+AND NOT EXISTS (
+  SELECT 1 FROM public.registration_number_sequences q2
+  WHERE q2.course = c.code AND q2.intake_year = q.intake_year
+);
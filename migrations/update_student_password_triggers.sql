@@ -0,0 +1,45 @@
+-- Flag students whose password is a default (national ID or birth certificate number)
+-- so they are forced to choose their own password on first login
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS must_change_password boolean NOT NULL DEFAULT false;
+
+-- Passwords still stored in plain text are the defaults set by earlier migrations
+UPDATE public.students SET must_change_password = true
+WHERE password IS NOT NULL 
+  AND (password = national_id OR password = birth_certificate);
+
+-- Set the flag whenever the insert trigger assigns a default password
+CREATE OR REPLACE FUNCTION set_default_student_password()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.password IS NULL THEN
+    IF NEW.national_id IS NOT NULL THEN
+      NEW.password := NEW.national_id;
+      NEW.must_change_password := true;
+    ELSIF NEW.birth_certificate IS NOT NULL THEN
+      NEW.password := NEW.birth_certificate;
+      NEW.must_change_password := true;
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Set the flag whenever the update trigger resets the password to a changed ID
+CREATE OR REPLACE FUNCTION update_student_password()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.national_id IS NOT NULL AND 
+      (OLD.national_id IS NULL OR NEW.national_id != OLD.national_id)) THEN
+    NEW.password := NEW.national_id;
+    NEW.must_change_password := true;
+  ELSIF (NEW.birth_certificate IS NOT NULL AND 
+         (OLD.birth_certificate IS NULL OR NEW.birth_certificate != OLD.birth_certificate)) THEN
+    NEW.password := NEW.birth_certificate;
+    NEW.must_change_password := true;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN public.students.must_change_password IS 'True while the student still uses a default (ID-based) password';
@@ -0,0 +1,30 @@
+-- Only move a default password to a changed national ID or birth certificate number.
+-- Students who chose their own password keep it when an admin corrects their ID or
+-- two records are merged; before, every ID change reset the password to the new ID.
+CREATE OR REPLACE FUNCTION update_student_password()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Leave passwords set by the same statement alone
+  IF NEW.password IS DISTINCT FROM OLD.password THEN
+    RETURN NEW;
+  END IF;
+
+  -- Still on a default password: flagged, or the old ID in plain text
+  IF NOT (OLD.must_change_password
+          OR OLD.password IS NOT DISTINCT FROM OLD.national_id
+          OR OLD.password IS NOT DISTINCT FROM OLD.birth_certificate) THEN
+    RETURN NEW;
+  END IF;
+
+  IF (NEW.national_id IS NOT NULL AND
+      (OLD.national_id IS NULL OR NEW.national_id != OLD.national_id)) THEN
+    NEW.password := NEW.national_id;
+    NEW.must_change_password := true;
+  ELSIF (NEW.birth_certificate IS NOT NULL AND
+         (OLD.birth_certificate IS NULL OR NEW.birth_certificate != OLD.birth_certificate)) THEN
+    NEW.password := NEW.birth_certificate;
+    NEW.must_change_password := true;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,8 @@
+-- Graduation details for students who complete their studies
+ALTER TABLE public.students 
+ADD COLUMN IF NOT EXISTS graduation_date date,
+ADD COLUMN IF NOT EXISTS award_class character varying(30);
+
+COMMENT ON COLUMN public.students.status IS 'Student status: active, on_leave, deregistered, completed, graduated, alumni';
+COMMENT ON COLUMN public.students.graduation_date IS 'Graduation date (planned date for completed students)';
+COMMENT ON COLUMN public.students.award_class IS 'first_class, second_class_upper, second_class_lower, pass, distinction or credit';
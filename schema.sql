@@ -5,8 +5,26 @@ CREATE TABLE public.admins (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   username character varying NOT NULL UNIQUE,
   password_hash text NOT NULL,
+  roles text[] NOT NULL DEFAULT ARRAY[]::text[] CHECK (roles <@ ARRAY['super-admin', 'registrar', 'finance', 'exams', 'library', 'department']::text[]),
+  is_active boolean NOT NULL DEFAULT true,
+  deactivated_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  password_changed_at timestamp with time zone,
+  totp_secret text,
+  totp_enabled boolean NOT NULL DEFAULT false,
+  totp_enabled_at timestamp with time zone,
+  totp_last_used_step bigint,
   CONSTRAINT admins_pkey PRIMARY KEY (id)
 );
+CREATE TABLE public.admin_recovery_codes (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  admin_id uuid NOT NULL,
+  code_hash character varying(64) NOT NULL,
+  used_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT admin_recovery_codes_pkey PRIMARY KEY (id),
+  CONSTRAINT admin_recovery_codes_admin_id_fkey FOREIGN KEY (admin_id) REFERENCES public.admins(id) ON DELETE CASCADE
+);
 CREATE TABLE public.exam_cards (
   id uuid NOT NULL DEFAULT gen_random_uuid(),
   student_id uuid,
@@ -0,0 +1,55 @@
+import { sql } from '../db.js';
+import { ROLES, ADMIN_ROLES } from './auth.js';
+
+// Columns returned by the admin management routes (never the password hash or TOTP secret)
+export const ADMIN_PUBLIC_COLUMNS = 
+  'id, username, roles, is_active, totp_enabled, created_at, deactivated_at, password_changed_at';
+
+// Check a roles array from a request body. Returns a list of problems.
+export function validateRoles(roles) {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return ['roles must be a non-empty array'];
+  }
+
+  const unknown = roles.filter(role => !ADMIN_ROLES.includes(role));
+  if (unknown.length > 0) {
+    return [`Unknown roles: ${unknown.join(', ')}. Allowed roles: ${ADMIN_ROLES.join(', ')}`];
+  }
+
+  return [];
+}
+
+// Run `change(sql)` (role update, deactivation, deletion...) in a transaction and
+// roll it back if it leaves no active super-admin. The active super-admin rows are
+// locked first so two concurrent demotions cannot both succeed.
+// Returns { result } with whatever `change` returned, or { error } if it was refused.
+export async function changeAdminGuarded(change) {
+  try {
+    const result = await sql.begin(async sql => {
+      await sql`
+        SELECT id FROM admins 
+        WHERE is_active AND ${ROLES.SUPER_ADMIN} = ANY(roles) 
+        FOR UPDATE
+      `;
+
+      const result = await change(sql);
+
+      const [{ remaining }] = await sql`
+        SELECT COUNT(*)::int AS remaining FROM admins 
+        WHERE is_active AND ${ROLES.SUPER_ADMIN} = ANY(roles)
+      `;
+      if (remaining === 0) {
+        throw Object.assign(new Error('Last super-admin'), { code: 'LAST_SUPER_ADMIN' });
+      }
+
+      return result;
+    });
+
+    return { result };
+  } catch (error) {
+    if (error.code === 'LAST_SUPER_ADMIN') {
+      return { error: 'At least one active super-admin must remain' };
+    }
+    throw error;
+  }
+}
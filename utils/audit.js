@@ -0,0 +1,88 @@
+import { pool } from '../db.js';
+import { getClientIp } from './auth.js';
+
+// Audit trail of administrative writes. Handlers call recordAudit after a
+// successful change with the affected student and before/after snapshots.
+
+// Never copied into audit snapshots
+const REDACTED_FIELDS = ['password', 'password_hash', 'totp_secret'];
+
+// Copy of a database row that is safe to store in the audit log
+export function snapshot(row) {
+  if (!row) return null;
+
+  const copy = { ...row };
+  for (const field of REDACTED_FIELDS) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+// Who is making the request: the admin or student set by the auth middleware,
+// or the system for scheduled jobs (no request context)
+export function getActor(c) {
+  const admin = c?.get('admin');
+  const student = c?.get('student');
+
+  if (admin) return { type: 'admin', id: admin.id, username: admin.username };
+  if (student) return { type: 'student', id: student.student_id, username: student.registration_number };
+  return { type: 'system', id: null, username: null };
+}
+
+// Current state of a student for the "before" snapshot, by id or registration number
+export async function getStudentSnapshot({ id, registrationNumber }) {
+  const { rows } = id
+    ? await pool.query('SELECT * FROM students WHERE id = $1', [id])
+    : await pool.query('SELECT * FROM students WHERE registration_number = $1', [registrationNumber]);
+
+  return rows.length === 0 ? null : snapshot(rows[0]);
+}
+
+// Record an audit entry for the request in `c` (null for scheduled jobs). The actor is taken from the
+// admin (or student) set by the auth middleware. The student is identified by
+// `studentId` and/or `registrationNumber` (falling back to the snapshots'
+// registration_number); a missing id is looked up from the registration number.
+// Failures are logged but never fail the request, whose change is already committed.
+export async function recordAudit(c, { action, studentId, registrationNumber, before = null, after = null, details = null }) {
+  try {
+    const actor = getActor(c);
+
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+
+    let targetId = studentId || null;
+    const targetRegNumber = registrationNumber
+      || afterSnapshot?.registration_number
+      || beforeSnapshot?.registration_number
+      || null;
+
+    if (!targetId && targetRegNumber) {
+      const { rows } = await pool.query('SELECT id FROM students WHERE registration_number = $1', [targetRegNumber]);
+      targetId = rows.length > 0 ? rows[0].id : null;
+    }
+
+    await pool.query(
+      `INSERT INTO audit_log (
+        actor_type, actor_id, actor_username, action, student_id, registration_number,
+        before, after, details, ip_address, user_agent, method, path
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+      [
+        actor.type,
+        actor.id,
+        actor.username,
+        action,
+        targetId || null,
+        targetRegNumber,
+        beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+        afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+        details ? JSON.stringify(details) : null,
+        c ? getClientIp(c) : null,
+        c ? c.req.header('user-agent') || null : null,
+        c ? c.req.method : null,
+        c ? c.req.path : null
+      ]
+    );
+  } catch (error) {
+    console.error(`Failed to record audit entry for ${action}:`, error);
+  }
+}
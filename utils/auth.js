@@ -0,0 +1,229 @@
+import jwt from 'jsonwebtoken';
+import { pool } from '../db.js';
+import { isSessionActive } from './sessions.js';
+import { getPathRegistrationNumber, registrationNumberCandidates } from './registrationNumberParams.js';
+
+// Admin roles stored in admins.roles
+// super-admin implicitly has every other role
+export const ROLES = {
+  SUPER_ADMIN: 'super-admin',
+  REGISTRAR: 'registrar',
+  FINANCE: 'finance',
+  EXAMS: 'exams',
+  LIBRARY: 'library',
+  DEPARTMENT: 'department'
+};
+
+export const ADMIN_ROLES = Object.values(ROLES);
+
+// Extract the token from an "Authorization: Bearer <token>" header
+export function getBearerToken(c) {
+  const authHeader = c.req.header('authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.substring(7); // Remove 'Bearer ' prefix
+}
+
+// Number of proxies in front of the API (Vercel/Netlify: 1) whose X-Forwarded-For
+// entries can be trusted; 0 ignores the forwarding headers
+const TRUSTED_PROXY_COUNT = (() => {
+  const count = parseInt(process.env.TRUSTED_PROXY_COUNT, 10);
+  return Number.isInteger(count) && count >= 0 ? count : 1;
+})();
+
+// Client IP as seen by the trusted proxies. Each proxy appends the address it
+// received the request from to X-Forwarded-For, so the entry added by the
+// outermost trusted proxy is counted from the right; entries further left come
+// from the client and can be forged.
+export function getClientIp(c) {
+  if (TRUSTED_PROXY_COUNT === 0) return null;
+
+  const forwardedFor = c.req.header('x-forwarded-for');
+  if (forwardedFor) {
+    const entries = forwardedFor.split(',').map(entry => entry.trim()).filter(Boolean);
+    return entries[Math.max(entries.length - TRUSTED_PROXY_COUNT, 0)] || null;
+  }
+
+  return c.req.header('x-real-ip') || null;
+}
+
+// Map jwt.verify errors to the 401 responses used across the API
+export function tokenErrorResponse(c, error) {
+  if (error.name === 'TokenExpiredError') {
+    return c.json({ error: 'Token expired' }, 401);
+  }
+  return c.json({ error: 'Invalid token' }, 401);
+}
+
+// Check whether an admin holding `adminRoles` satisfies any of `requiredRoles`
+export function hasRole(adminRoles = [], requiredRoles = []) {
+  if (adminRoles.includes(ROLES.SUPER_ADMIN)) return true;
+  if (requiredRoles.length === 0) return true;
+  return requiredRoles.some(role => adminRoles.includes(role));
+}
+
+// Verify the bearer token of the request and that its session has not been revoked.
+// Returns { decoded } on success or { response } holding the 401 to send back.
+async function verifyRequestToken(c) {
+  const token = getBearerToken(c);
+
+  if (!token) {
+    return { response: c.json({ error: 'No token provided' }, 401) };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.SECRET_KEY);
+  } catch (error) {
+    return { response: tokenErrorResponse(c, error) };
+  }
+
+  // Tokens without a session id predate revocation support and cannot be checked
+  if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+    return { response: c.json({ error: 'Session expired', details: 'Please log in again' }, 401) };
+  }
+
+  return { decoded };
+}
+
+// Load the admin referenced by a decoded admin token, or null if it no longer
+// exists or has been deactivated
+async function findAdmin(adminId) {
+  const { rows } = await pool.query(
+    'SELECT id, username, roles FROM admins WHERE id = $1 AND is_active',
+    [adminId]
+  );
+
+  if (rows.length === 0) return null;
+  return { ...rows[0], roles: rows[0].roles || [] };
+}
+
+// Load the student referenced by a decoded student token, or null if it no longer exists
+async function findStudent(studentId) {
+  const { rows } = await pool.query(
+    'SELECT id, registration_number, must_change_password FROM students WHERE id = $1',
+    [studentId]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+function isStudentToken(decoded) {
+  return decoded.type === 'student' && !!decoded.student_id;
+}
+
+// Middleware: require a valid admin JWT and, optionally, one of the given roles.
+// The admin row is re-read on every request so role changes apply immediately.
+// On success the admin ({ id, username, roles }) is available as c.get('admin').
+export function requireAdmin(...requiredRoles) {
+  return async (c, next) => {
+    const { decoded, response } = await verifyRequestToken(c);
+    if (response) return response;
+
+    if (decoded.type !== 'admin') {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
+
+    const admin = await findAdmin(decoded.admin_id);
+
+    if (!admin) {
+      return c.json({ error: 'Admin not found' }, 401);
+    }
+
+    if (!hasRole(admin.roles, requiredRoles)) {
+      console.warn(`Admin ${admin.username} denied access to ${c.req.method} ${c.req.path}`);
+      return c.json({
+        error: 'Insufficient permissions',
+        details: `This action requires one of the following roles: ${requiredRoles.join(', ')}`
+      }, 403);
+    }
+
+    c.set('admin', admin);
+    await next();
+  };
+}
+
+// Middleware for student self-service routes.
+// Student tokens must belong to the student addressed by :id/:studentId or by the
+// registration number in the path; admin tokens (any role) bypass the check.
+// On success the token payload is available as c.get('student') or c.get('admin').
+export function requireStudentOrAdmin() {
+  return async (c, next) => {
+    const { decoded, response } = await verifyRequestToken(c);
+    if (response) return response;
+
+    if (decoded.type === 'admin') {
+      const admin = await findAdmin(decoded.admin_id);
+
+      if (!admin) {
+        return c.json({ error: 'Admin not found' }, 401);
+      }
+
+      c.set('admin', admin);
+      return next();
+    }
+
+    if (!isStudentToken(decoded)) {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
+
+    const student = await findStudent(decoded.student_id);
+
+    if (!student) {
+      return c.json({ error: 'Student not found' }, 401);
+    }
+
+    // Students still on a default password may only change it
+    if (student.must_change_password) {
+      return c.json({
+        error: 'Password change required',
+        details: 'You must change your default password before continuing',
+        must_change_password: true
+      }, 403);
+    }
+
+    const pathStudentId = c.req.param('id') || c.req.param('studentId');
+    const pathRegNumber = getPathRegistrationNumber(c);
+
+    const idMismatch = pathStudentId && String(pathStudentId) !== String(decoded.student_id);
+    const regMismatch = pathRegNumber
+      && !registrationNumberCandidates(pathRegNumber).includes(decoded.registration_number);
+
+    if (idMismatch || regMismatch) {
+      console.warn(`Student ${decoded.registration_number} denied access to ${c.req.method} ${c.req.path}`);
+      return c.json({
+        error: 'Access denied',
+        details: 'You can only access your own student records'
+      }, 403);
+    }
+
+    c.set('student', decoded);
+    await next();
+  };
+}
+
+// Middleware for routes that act on the logged-in student only (no path binding,
+// no admin bypass). Unlike requireStudentOrAdmin it does not enforce the
+// must_change_password flag, so it is used for the change-password route itself.
+export function requireStudent() {
+  return async (c, next) => {
+    const { decoded, response } = await verifyRequestToken(c);
+    if (response) return response;
+
+    if (!isStudentToken(decoded)) {
+      return c.json({ error: 'Invalid token type' }, 401);
+    }
+
+    const student = await findStudent(decoded.student_id);
+
+    if (!student) {
+      return c.json({ error: 'Student not found' }, 401);
+    }
+
+    c.set('student', decoded);
+    await next();
+  };
+}
@@ -0,0 +1,235 @@
+import { pool, sql as defaultSql } from '../db.js';
+
+// Course catalogue (courses, course_aliases). Students are linked to a course
+// by course_id and keep its name in students.course; timetables and registration
+// number patterns refer to a course by its code. Course names typed by users are
+// matched to the catalogue ignoring case, spaces and punctuation, and through
+// aliases such as "DIT" for "Diploma in IT".
+
+export const AWARD_LEVELS = [
+  'certificate',
+  'diploma',
+  'higher_diploma',
+  'bachelors',
+  'postgraduate_diploma',
+  'masters',
+  'doctorate'
+];
+
+export const COURSE_FIELDS = ['code', 'name', 'department', 'award_level', 'duration_years', 'duration_semesters', 'is_active', 'aliases'];
+
+const REQUIRED_FIELDS = ['code', 'name', 'award_level'];
+
+// Same as the course_key() database function
+export function courseKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function text(maxLength) {
+  return (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') return { error: `${field} must not be empty` };
+    if (value.trim().length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+    return { value: value.trim() };
+  };
+}
+
+function integer(min, max) {
+  return (value, field) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { error: `${field} must be a whole number from ${min} to ${max}` };
+    }
+    return { value: number };
+  };
+}
+
+const VALIDATORS = {
+  code: value => {
+    const normalized = String(value).trim().toUpperCase();
+    if (!/^[A-Z0-9-]{2,20}$/.test(normalized)) {
+      return { error: 'code must be 2-20 letters, digits or "-"' };
+    }
+    return { value: normalized };
+  },
+  name: text(255),
+  department: text(255),
+  award_level: value => AWARD_LEVELS.includes(value)
+    ? { value }
+    : { error: `award_level must be one of: ${AWARD_LEVELS.join(', ')}` },
+  duration_years: integer(1, 10),
+  duration_semesters: integer(1, 30),
+  is_active: value => typeof value === 'boolean'
+    ? { value }
+    : { error: 'is_active must be true or false' },
+  aliases: value => {
+    if (!Array.isArray(value) || value.some(alias => typeof alias !== 'string' || courseKey(alias) === '')) {
+      return { error: 'aliases must be a list of course names or abbreviations' };
+    }
+    return { value: [...new Set(value.map(courseKey))] };
+  }
+};
+
+// Validate a course from a request body. With `partial` (PATCH) only the fields
+// sent are checked; otherwise code, name and award_level are required.
+// Returns { values, errors }; `values.aliases` holds alias keys.
+export function validateCourse(body, { partial = false } = {}) {
+  const values = {};
+  const errors = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!COURSE_FIELDS.includes(field)) {
+      errors[field] = 'Unknown field';
+      continue;
+    }
+
+    if (value === null || value === '') {
+      if (REQUIRED_FIELDS.includes(field) || field === 'is_active' || field === 'aliases') {
+        errors[field] = `${field} must not be empty`;
+      } else {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const result = VALIDATORS[field](value, field);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  if (!partial) {
+    for (const field of REQUIRED_FIELDS) {
+      if (values[field] === undefined && !errors[field]) errors[field] = `${field} is required`;
+    }
+  }
+
+  return { values, errors };
+}
+
+// The course a code, name or alias refers to, or null. An exact code match wins.
+export async function findCourse(value, { sql = defaultSql } = {}) {
+  const key = courseKey(value);
+  if (!key) return null;
+
+  const [course] = await sql`
+    SELECT c.* FROM courses c
+    WHERE course_key(c.code) = ${key}
+       OR course_key(c.name) = ${key}
+       OR EXISTS (SELECT 1 FROM course_aliases a WHERE a.course_id = c.id AND a.alias_key = ${key})
+    ORDER BY (course_key(c.code) = ${key}) DESC
+    LIMIT 1
+  `;
+  return course || null;
+}
+
+// Check the course given for a student or timetable.
+// Returns { course } for an active catalogue course, or { error }.
+export async function resolveCourse(value) {
+  if (!value || !String(value).trim()) return { error: 'course is required' };
+
+  const course = await findCourse(value);
+  if (!course) {
+    return { error: `Unknown course "${value}". Add it to the course catalogue first (POST /courses).` };
+  }
+  if (!course.is_active) {
+    return { error: `Course ${course.code} (${course.name}) is no longer offered` };
+  }
+  return { course };
+}
+
+// Catalogue courses whose code, name or alias would clash with `values`
+// (code, name, aliases), other than `exceptId`
+export async function findConflictingCourses(values, exceptId = null) {
+  const keys = [values.code, values.name].filter(Boolean).map(courseKey).concat(values.aliases || []);
+  if (keys.length === 0) return [];
+
+  const { rows } = await pool.query(
+    `SELECT DISTINCT c.code, c.name FROM courses c
+     LEFT JOIN course_aliases a ON a.course_id = c.id
+     WHERE (course_key(c.code) = ANY($1) OR course_key(c.name) = ANY($1) OR a.alias_key = ANY($1))
+       AND ($2::uuid IS NULL OR c.id <> $2::uuid)`,
+    [keys, exceptId]
+  );
+  return rows;
+}
+
+// Course with its aliases and number of students
+export async function getCourse(code) {
+  const { rows } = await pool.query(
+    `SELECT c.*,
+            COALESCE((SELECT array_agg(a.alias_key ORDER BY a.alias_key) FROM course_aliases a WHERE a.course_id = c.id), '{}') AS aliases,
+            (SELECT COUNT(*)::int FROM students s WHERE s.course_id = c.id) AS student_count
+     FROM courses c WHERE c.code = $1`,
+    [String(code).toUpperCase()]
+  );
+  return rows.length === 0 ? null : rows[0];
+}
+
+// Merge course `source` into `target` (rows): students, timetables and registration
+// number sequences move to the target, the source's code, name and aliases become
+// aliases of the target, and the source is deleted. The source's registration
+// number pattern moves too when the target has none.
+// Returns { students, timetables } counts moved.
+export async function mergeCourses(source, target) {
+  return await defaultSql.begin(async sql => {
+    const students = await sql`
+      UPDATE students SET course_id = ${target.id}, course = ${target.name}
+      WHERE course_id = ${source.id}
+      RETURNING id
+    `;
+    const timetables = await sql`
+      UPDATE timetables SET course = ${target.code} WHERE course = ${source.code} RETURNING id
+    `;
+
+    // Sequences of intakes both courses have keep the higher last value
+    await sql`
+      UPDATE registration_number_sequences t SET last_value = GREATEST(t.last_value, s.last_value)
+      FROM registration_number_sequences s
+      WHERE t.course = ${target.code} AND s.course = ${source.code} AND s.intake_year = t.intake_year
+    `;
+    await sql`
+      UPDATE registration_number_sequences s SET course = ${target.code}
+      WHERE s.course = ${source.code} AND NOT EXISTS (
+        SELECT 1 FROM registration_number_sequences t WHERE t.course = ${target.code} AND t.intake_year = s.intake_year
+      )
+    `;
+    await sql`DELETE FROM registration_number_sequences WHERE course = ${source.code}`;
+    await sql`
+      UPDATE registration_number_patterns SET course = ${target.code}
+      WHERE course = ${source.code} AND NOT EXISTS (
+        SELECT 1 FROM registration_number_patterns WHERE course = ${target.code}
+      )
+    `;
+    await sql`DELETE FROM registration_number_patterns WHERE course = ${source.code}`;
+
+    await sql`UPDATE course_aliases SET course_id = ${target.id} WHERE course_id = ${source.id}`;
+    await sql`DELETE FROM courses WHERE id = ${source.id}`;
+
+    const targetKeys = [courseKey(target.code), courseKey(target.name)];
+    for (const key of new Set([courseKey(source.code), courseKey(source.name)])) {
+      if (targetKeys.includes(key)) continue;
+      await sql`
+        INSERT INTO course_aliases (alias_key, course_id) VALUES (${key}, ${target.id})
+        ON CONFLICT (alias_key) DO UPDATE SET course_id = EXCLUDED.course_id
+      `;
+    }
+
+    return { students: students.length, timetables: timetables.length };
+  });
+}
+
+// resolveCourse() for each distinct value in `values` (the CSV import).
+// Returns a Map of value -> { course } or { error }.
+export async function resolveCourses(values) {
+  const resolved = new Map();
+  for (const value of new Set(values.filter(Boolean))) {
+    resolved.set(value, await resolveCourse(value));
+  }
+  return resolved;
+}
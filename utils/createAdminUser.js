@@ -1,14 +1,27 @@
 import { pool } from '../db.js';
 import bcrypt from 'bcryptjs';
+import { validatePassword } from './password.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
 async function createAdminUser() {
-  const username = process.argv[2] || 'admin';
-  const password = process.argv[3] || 'admin123';
+  const username = process.argv[2];
+  const password = process.argv[3];
 
   if (!username || !password) {
-    console.error('Usage: node createAdminUser.js [username] [password]');
+    console.error('Usage: node createAdminUser.js <username> <password>');
+    process.exit(1);
+  }
+
+  // The old defaults (admin/admin123) are widely known
+  if (password === 'admin123' || (username === 'admin' && password === 'admin')) {
+    console.error('Refusing to create an admin with default credentials. Choose a different password.');
+    process.exit(1);
+  }
+
+  const passwordErrors = validatePassword(password, { disallowed: [username] });
+  if (passwordErrors.length > 0) {
+    console.error(`Password does not meet requirements:\n- ${passwordErrors.join('\n- ')}`);
     process.exit(1);
   }
 
@@ -24,10 +37,10 @@ async function createAdminUser() {
     // Hash the password
     const passwordHash = await bcrypt.hash(password, 10);
     
-    // Insert the admin user
+    // Insert the admin user (accounts created from the CLI are super-admins)
     await pool.query(
-      'INSERT INTO admins (username, password_hash) VALUES ($1, $2) RETURNING id',
-      [username, passwordHash]
+      'INSERT INTO admins (username, password_hash, roles, password_changed_at) VALUES ($1, $2, $3, now()) RETURNING id',
+      [username, passwordHash, ['super-admin']]
     );
 
     console.log(`Admin user '${username}' created successfully!`);
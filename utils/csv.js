@@ -0,0 +1,66 @@
+// Minimal CSV (RFC 4180) support: quoted fields, "" escapes, CRLF/LF line endings
+// and a UTF-8 byte order mark as written by Excel.
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+// Throws if a quoted field is not closed.
+export function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+}
+
+// Format one CSV line (with CRLF). Values that a spreadsheet would run as a
+// formula are prefixed with ' ; phone numbers like +254... are left alone.
+export function toCsvRow(values) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+
+    if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]*$)/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
@@ -0,0 +1,43 @@
+import { pool } from '../db.js';
+import { ROLES } from './auth.js';
+
+// Deregistration clearance workflow: every request needs a sign-off from each
+// department below before the registrar can approve it.
+
+// Department -> admin role allowed to sign its clearance (super-admins may sign any)
+export const CLEARANCE_DEPARTMENTS = {
+  finance: ROLES.FINANCE,
+  library: ROLES.LIBRARY,
+  department: ROLES.DEPARTMENT
+};
+
+export const CLEARANCE_STATUSES = ['cleared', 'blocked'];
+
+export const DEREGISTRATION_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A request with its student, outstanding fee balance and clearance steps, or null
+export async function getDeregistrationRequest(requestId) {
+  const { rows } = await pool.query(
+    `SELECT dr.*, s.registration_number, s.name, s.course, s.level_of_study, s.status AS student_status,
+            (SELECT COALESCE(SUM(f.fee_balance), 0) FROM fees f WHERE f.student_id = dr.student_id) AS fee_balance
+     FROM deregistration_requests dr
+     JOIN students s ON s.id = dr.student_id
+     WHERE dr.id = $1`,
+    [requestId]
+  );
+
+  if (rows.length === 0) return null;
+
+  const { rows: clearances } = await pool.query(
+    `SELECT department, status, comments, signed_by, signed_by_username, signed_at
+     FROM deregistration_clearances WHERE request_id = $1 ORDER BY department`,
+    [requestId]
+  );
+
+  return { ...rows[0], fee_balance: Number(rows[0].fee_balance), clearances };
+}
+
+// Departments whose clearance is still missing (pending or blocked)
+export function outstandingClearances(clearances) {
+  return clearances.filter(clearance => clearance.status !== 'cleared').map(clearance => clearance.department);
+}
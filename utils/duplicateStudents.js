@@ -0,0 +1,127 @@
+import { pool } from '../db.js';
+
+// Duplicate student detection for POST /students and the CSV import. A new
+// student is a possible duplicate of an existing one when they share a national
+// ID, birth certificate number or email, or have the same date of birth and a
+// similar name (typos, reordered or missing middle names).
+
+// Names at least this similar (0-1) count as the same person when the date of birth matches
+export const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Lowercase, without accents or punctuation, name parts sorted so that
+// "Doe, John" and "john doe" compare equal
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .sort();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Similarity of two names from 0 to 1. A name whose parts (at least two) all
+// appear in the other, e.g. without the middle name, counts as 1.
+export function nameSimilarity(a, b) {
+  const tokensA = nameTokens(a);
+  const tokensB = nameTokens(b);
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  if (shorter.length >= 2 && shorter.every(token => longer.includes(token))) return 1;
+
+  const joinedA = tokensA.join(' ');
+  const joinedB = tokensB.join(' ');
+  return 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+}
+
+function sameText(a, b) {
+  return Boolean(a) && Boolean(b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Dates of birth arrive as 'YYYY-MM-DD' strings from requests and Date objects from the database
+function dateKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  const date = String(value).slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : null;
+}
+
+// Why `candidate` looks like the same person as `student`: a list of
+// 'national_id', 'birth_certificate', 'email' and 'name_and_date_of_birth' (empty if not)
+export function matchStudent(student, candidate) {
+  const matchedOn = [];
+
+  if (sameText(student.national_id, candidate.national_id)) matchedOn.push('national_id');
+  if (sameText(student.birth_certificate, candidate.birth_certificate)) matchedOn.push('birth_certificate');
+  if (sameText(student.email, candidate.email)) matchedOn.push('email');
+
+  const dateOfBirth = dateKey(student.date_of_birth);
+  if (dateOfBirth && dateOfBirth === dateKey(candidate.date_of_birth)
+      && nameSimilarity(student.name, candidate.name) >= NAME_SIMILARITY_THRESHOLD) {
+    matchedOn.push('name_and_date_of_birth');
+  }
+
+  return matchedOn;
+}
+
+// Existing students that may be the same person as each of `students`
+// (objects with name, national_id, birth_certificate, email, date_of_birth).
+// Returns one list per input student of
+// { id, registration_number, name, course, status, date_of_birth, matched_on }.
+export async function findDuplicateCandidates(students, { excludeIds = [] } = {}) {
+  const values = field => [...new Set(students.map(student => student[field]).filter(Boolean).map(value => String(value).trim()))];
+
+  const { rows } = await pool.query(
+    `SELECT id, registration_number, name, course, status, national_id, birth_certificate, email, date_of_birth
+     FROM students
+     WHERE (national_id = ANY($1) OR birth_certificate = ANY($2)
+            OR lower(email) = ANY($3) OR date_of_birth = ANY($4::date[]))
+       AND NOT (id = ANY($5::uuid[]))`,
+    [
+      values('national_id'),
+      values('birth_certificate'),
+      values('email').map(email => email.toLowerCase()),
+      [...new Set(students.map(student => dateKey(student.date_of_birth)).filter(Boolean))],
+      excludeIds
+    ]
+  );
+
+  return students.map(student => rows
+    .map(candidate => ({ candidate, matchedOn: matchStudent(student, candidate) }))
+    .filter(({ matchedOn }) => matchedOn.length > 0)
+    .map(({ candidate, matchedOn }) => ({
+      id: candidate.id,
+      registration_number: candidate.registration_number,
+      name: candidate.name,
+      course: candidate.course,
+      status: candidate.status,
+      date_of_birth: candidate.date_of_birth,
+      matched_on: matchedOn
+    })));
+}
+
+// One-line description of a match for import reports
+export function describeMatch(match) {
+  return `Possible duplicate of student ${match.registration_number} (matched on ${match.matched_on.join(', ')})`;
+}
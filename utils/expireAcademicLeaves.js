@@ -0,0 +1,34 @@
+import { expireAcademicLeaves, validateAsOf } from './leaveExpiry.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Scheduled job: return students whose academic leave has ended to active.
+// Usage: node utils/expireAcademicLeaves.js [--dry-run] [--as-of=YYYY-MM-DD]
+async function run() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const asOfArg = args.find(arg => arg.startsWith('--as-of='));
+  const asOf = asOfArg ? asOfArg.slice('--as-of='.length) : null;
+
+  const asOfError = asOf ? validateAsOf(asOf, { dryRun }) : null;
+  if (asOfError) {
+    console.error(asOfError.replace('as_of', '--as-of').replace('dry_run', '--dry-run'));
+    console.error('Usage: node expireAcademicLeaves.js [--dry-run] [--as-of=YYYY-MM-DD]');
+    process.exit(1);
+  }
+
+  try {
+    const students = await expireAcademicLeaves(null, { asOf, dryRun });
+
+    for (const student of students) {
+      console.log(`${dryRun ? 'Would restore' : 'Restored'} ${student.registration_number} (${student.name}), leave ended ${new Date(student.academic_leave_end).toISOString().slice(0, 10)}`);
+    }
+    console.log(`${students.length} expired academic leave(s) ${dryRun ? 'found (dry run)' : 'processed'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error expiring academic leaves:', error);
+    process.exit(1);
+  }
+}
+
+run();
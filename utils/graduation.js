@@ -0,0 +1,93 @@
+import { sql as defaultSql } from '../db.js';
+import { latestUnitResults, isFailedResult, DEFAULT_PASS_MARK } from './promotion.js';
+
+// Completion, graduation and alumni statuses (POST /students/:id/graduate and
+// /students/:id/alumni). A student may complete or graduate once every unit on
+// their record is passed and their fees are cleared.
+
+// Students with these statuses have finished their studies: they get no new
+// units or exam cards, but their documents and results stay readable
+export const FINISHED_STATUSES = ['completed', 'graduated', 'alumni'];
+
+export const AWARD_CLASSES = [
+  'first_class',
+  'second_class_upper',
+  'second_class_lower',
+  'pass',
+  'distinction',
+  'credit'
+];
+
+// Highest fee balance that still allows graduation
+export const DEFAULT_GRADUATION_MAX_FEE_BALANCE = Number(process.env.GRADUATION_MAX_FEE_BALANCE) || 0;
+
+// Check whether a student can complete or graduate. The units to pass are the
+// student's registered units and their allocations that were not cancelled.
+// Pass the transaction's `sql` with `lock` to lock the student row.
+// Returns null if the student does not exist, otherwise
+// { student, eligible, reasons, units: { required, passed, failed, missing }, fee_balance }.
+export async function checkGraduationEligibility(studentId, {
+  passMark = DEFAULT_PASS_MARK,
+  maxFeeBalance = DEFAULT_GRADUATION_MAX_FEE_BALANCE,
+  sql = defaultSql,
+  lock = false
+} = {}) {
+  const [student] = await sql`
+    SELECT * FROM students WHERE id = ${studentId}
+    ${lock ? sql`FOR UPDATE` : sql``}
+  `;
+  if (!student) return null;
+
+  const unitRows = await sql`
+    SELECT unit_code FROM registered_units WHERE student_id = ${studentId}
+    UNION
+    SELECT u.unit_code FROM allocated_units au
+    JOIN units u ON au.unit_id = u.id
+    WHERE au.student_id = ${studentId} AND au.status <> 'cancelled'
+    ORDER BY unit_code
+  `;
+  const required = unitRows.map(row => row.unit_code);
+
+  const resultByUnit = new Map(
+    (await latestUnitResults({ studentIds: [studentId], sql })).map(result => [result.unit_code, result])
+  );
+  const passed = required.filter(code => resultByUnit.has(code) && !isFailedResult(resultByUnit.get(code), passMark));
+  const failed = required.filter(code => resultByUnit.has(code) && isFailedResult(resultByUnit.get(code), passMark));
+  const missing = required.filter(code => !resultByUnit.has(code));
+
+  const [{ balance }] = await sql`
+    SELECT COALESCE(SUM(fee_balance), 0) AS balance FROM fees WHERE student_id = ${studentId}
+  `;
+  const feeBalance = Number(balance);
+
+  const reasons = [];
+  if (student.status === 'graduated' || student.status === 'alumni') {
+    reasons.push(`Student has already graduated (status ${student.status})`);
+  } else if (student.status && !['active', 'completed'].includes(student.status)) {
+    reasons.push(`Status is ${student.status}`);
+  }
+  if (required.length === 0) reasons.push('No units on record');
+  if (failed.length > 0) reasons.push(`Failed units: ${failed.join(', ')}`);
+  if (missing.length > 0) reasons.push(`No results for units: ${missing.join(', ')}`);
+  if (feeBalance > maxFeeBalance) reasons.push(`Outstanding fee balance of ${feeBalance}`);
+
+  return {
+    student,
+    eligible: reasons.length === 0,
+    reasons,
+    units: { required, passed, failed, missing },
+    fee_balance: feeBalance
+  };
+}
+
+// 409 response for routes that do not apply to students who finished their
+// studies (unit allocation, exam cards), or null to continue.
+// `student` needs status and registration_number.
+export function finishedStudentResponse(c, student, activity) {
+  if (!student || !FINISHED_STATUSES.includes(student.status)) return null;
+
+  return c.json({
+    error: 'Student has finished their studies',
+    details: `Student ${student.registration_number} is ${student.status}; ${activity} is not available`
+  }, 409);
+}
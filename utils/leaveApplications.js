@@ -0,0 +1,62 @@
+// Validation for student academic leave applications
+
+export const LEAVE_APPLICATION_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+// Longest leave a single application may cover
+export const MAX_LEAVE_DAYS = 366;
+
+const MAX_REASON_LENGTH = 2000;
+
+// Parse a YYYY-MM-DD date; returns a UTC Date or null
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function today() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+// Check the reason and dates of an application ({ reason, start_date, end_date }).
+// Returns { values, errors }; values hold the trimmed reason and YYYY-MM-DD dates.
+export function validateLeaveApplication(input) {
+  const errors = [];
+  const values = {};
+
+  const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+  if (!reason) {
+    errors.push('reason is required');
+  } else if (reason.length > MAX_REASON_LENGTH) {
+    errors.push(`reason must be at most ${MAX_REASON_LENGTH} characters`);
+  } else {
+    values.reason = reason;
+  }
+
+  const start = parseDate(input.start_date);
+  const end = parseDate(input.end_date);
+  if (!start) errors.push('start_date must be a valid date in YYYY-MM-DD format');
+  if (!end) errors.push('end_date must be a valid date in YYYY-MM-DD format');
+
+  if (start && end) {
+    if (end < start) {
+      errors.push('end_date must not be before start_date');
+    } else if (end < today()) {
+      errors.push('end_date must not be in the past');
+    } else if ((end - start) / 86400000 + 1 > MAX_LEAVE_DAYS) {
+      errors.push(`Academic leave may not be longer than ${MAX_LEAVE_DAYS} days`);
+    }
+
+    values.start_date = start.toISOString().slice(0, 10);
+    values.end_date = end.toISOString().slice(0, 10);
+  }
+
+  return { values, errors };
+}
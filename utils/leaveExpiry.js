@@ -0,0 +1,103 @@
+import { sql } from '../db.js';
+import { recordAudit } from './audit.js';
+import { recordStatusChange } from './statusHistory.js';
+
+// Academic leave expiry, run by `npm run expire-leaves` and
+// POST /admin/jobs/expire-academic-leaves. A leave has expired once the day
+// after academic_leave_end has begun; the student returns to `active` and is
+// flagged for unit re-allocation.
+
+// Check an `asOf` date (YYYY-MM-DD) given to the job. Later dates would end leaves
+// that are still running, so they are only allowed for a dry run.
+// Returns an error message, or null if the date can be used.
+export function validateAsOf(asOf, { dryRun = false } = {}) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(asOf).trim());
+  if (!match) return 'as_of must be a date in YYYY-MM-DD format';
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return 'as_of is not a valid date';
+  }
+
+  const now = new Date();
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  if (!dryRun && date.getTime() > today) {
+    return 'as_of cannot be later than today unless dry_run is set';
+  }
+  return null;
+}
+
+// Students whose leave ended before `asOf` (a YYYY-MM-DD date, default today)
+export async function findExpiredLeaves({ asOf = null } = {}) {
+  return sql`
+    SELECT id, registration_number, name, course, level_of_study, 
+           academic_leave_start, academic_leave_end, academic_leave_reason
+    FROM students 
+    WHERE status = 'on_leave' 
+      AND academic_leave_end < COALESCE(${asOf}::date, CURRENT_DATE)
+    ORDER BY academic_leave_end, registration_number
+  `;
+}
+
+// Return every student with an expired leave to active. `c` is the request
+// context for the admin endpoint, or null when run from the CLI.
+// Returns the students that were restored (or would be, with dryRun).
+export async function expireAcademicLeaves(c, { asOf = null, dryRun = false } = {}) {
+  if (dryRun) return findExpiredLeaves({ asOf });
+
+  const changes = [];
+
+  await sql.begin(async sql => {
+    // Rows being edited by a request right now are picked up on the next run
+    const expired = await sql`
+      SELECT * FROM students 
+      WHERE status = 'on_leave' 
+        AND academic_leave_end < COALESCE(${asOf}::date, CURRENT_DATE)
+      ORDER BY academic_leave_end, registration_number
+      FOR UPDATE SKIP LOCKED
+    `;
+
+    for (const before of expired) {
+      const [after] = await sql`
+        UPDATE students SET 
+          academic_leave = false, 
+          academic_leave_start = NULL, 
+          academic_leave_end = NULL,
+          academic_leave_reason = NULL,
+          status = 'active',
+          needs_unit_reallocation = true
+        WHERE id = ${before.id} 
+        RETURNING *
+      `;
+      changes.push({ before, after });
+    }
+  });
+
+  for (const { before, after } of changes) {
+    const leaveEnd = new Date(before.academic_leave_end).toISOString().slice(0, 10);
+
+    await recordAudit(c, {
+      action: 'student.academic_leave.expire',
+      studentId: after.id,
+      before,
+      after
+    });
+    await recordStatusChange(c, {
+      before,
+      after,
+      reason: `Academic leave ended on ${leaveEnd}`
+    });
+  }
+
+  return changes.map(({ before, after }) => ({
+    id: after.id,
+    registration_number: after.registration_number,
+    name: after.name,
+    course: after.course,
+    level_of_study: after.level_of_study,
+    academic_leave_start: before.academic_leave_start,
+    academic_leave_end: before.academic_leave_end,
+    academic_leave_reason: before.academic_leave_reason
+  }));
+}
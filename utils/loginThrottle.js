@@ -0,0 +1,152 @@
+import { pool } from '../db.js';
+
+// Login throttling shared by /auth/student-login and /auth/admin-login.
+// Failed attempts are tracked per account (account_type + identifier) and per IP:
+// - from the 3rd consecutive failure the account must wait 2s, 4s, 8s... between attempts
+// - after LOGIN_MAX_FAILURES failures the account is locked for LOGIN_LOCKOUT_MINUTES
+// - an IP with LOGIN_MAX_IP_FAILURES failures within LOGIN_IP_WINDOW_MINUTES is blocked
+
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+// Attempts refused by checkLoginAllowed itself; they never count as failures
+const BLOCKED_REASONS = ['ip_blocked', 'locked', 'throttled'];
+
+// Seconds an account must wait after `failedCount` consecutive failures
+export function delayForFailures(failedCount) {
+  if (failedCount < 3) return 0;
+  return Math.min(2 ** (failedCount - 2), MAX_DELAY_SECONDS);
+}
+
+function secondsUntil(date) {
+  return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+}
+
+async function logAttempt({ accountType, identifier, ip, userAgent, reason }) {
+  await pool.query(
+    `INSERT INTO login_attempts (account_type, identifier, ip_address, user_agent, reason)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [accountType, identifier, ip, userAgent || null, reason]
+  );
+}
+
+// Check whether a login attempt may proceed.
+// Returns { allowed: true } or { allowed: false, status, error, details, retryAfter }.
+// Blocked attempts are recorded but do not extend the account's failure count.
+export async function checkLoginAllowed({ accountType, identifier, ip, userAgent }) {
+  if (ip) {
+    // The MAX_IP_FAILURES-th most recent failure in the window: while there is
+    // one the IP is blocked, until it leaves the window
+    const { rows: ipRows } = await pool.query(
+      `SELECT attempted_at + make_interval(mins => $2::int) AS blocked_until FROM login_attempts
+       WHERE ip_address = $1 AND attempted_at > now() - make_interval(mins => $2::int)
+         AND reason <> ALL($3)
+       ORDER BY attempted_at DESC
+       OFFSET $4 LIMIT 1`,
+      [ip, IP_WINDOW_MINUTES, BLOCKED_REASONS, MAX_IP_FAILURES - 1]
+    );
+
+    if (ipRows.length > 0) {
+      const retryAfter = secondsUntil(ipRows[0].blocked_until);
+      await logAttempt({ accountType, identifier, ip, userAgent, reason: 'ip_blocked' });
+      return {
+        allowed: false,
+        status: 429,
+        error: 'Too many login attempts',
+        details: `Too many failed logins from this address. Try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+        retryAfter
+      };
+    }
+  }
+
+  const { rows } = await pool.query(
+    'SELECT failed_count, last_failed_at, locked_until FROM login_throttle WHERE account_type = $1 AND identifier = $2',
+    [accountType, identifier]
+  );
+
+  if (rows.length === 0) return { allowed: true };
+
+  const state = rows[0];
+
+  if (state.locked_until && new Date(state.locked_until) > new Date()) {
+    await logAttempt({ accountType, identifier, ip, userAgent, reason: 'locked' });
+    return {
+      allowed: false,
+      status: 423,
+      error: 'Account temporarily locked',
+      details: 'Too many failed login attempts. Try again later or contact the administrator.',
+      retryAfter: secondsUntil(state.locked_until)
+    };
+  }
+
+  const delaySeconds = delayForFailures(state.failed_count);
+  if (delaySeconds > 0 && state.last_failed_at) {
+    const nextAttemptAt = new Date(new Date(state.last_failed_at).getTime() + delaySeconds * 1000);
+
+    if (nextAttemptAt > new Date()) {
+      await logAttempt({ accountType, identifier, ip, userAgent, reason: 'throttled' });
+      return {
+        allowed: false,
+        status: 429,
+        error: 'Too many login attempts',
+        details: `Please wait ${secondsUntil(nextAttemptAt)} seconds before trying again.`,
+        retryAfter: secondsUntil(nextAttemptAt)
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+// Record a failed login and lock the account once it reaches MAX_FAILURES.
+// Failures older than the lockout window no longer count towards the limit.
+export async function recordLoginFailure({ accountType, identifier, ip, userAgent, reason }) {
+  await logAttempt({ accountType, identifier, ip, userAgent, reason });
+
+  const { rows } = await pool.query(
+    `INSERT INTO login_throttle (account_type, identifier, failed_count, last_failed_at)
+     VALUES ($1, $2, 1, now())
+     ON CONFLICT (account_type, identifier) DO UPDATE SET
+       failed_count = CASE
+         WHEN login_throttle.last_failed_at < now() - make_interval(mins => $3::int) THEN 1
+         ELSE login_throttle.failed_count + 1
+       END,
+       last_failed_at = now()
+     RETURNING failed_count`,
+    [accountType, identifier, LOCKOUT_MINUTES]
+  );
+
+  const failedCount = rows[0].failed_count;
+
+  if (failedCount >= MAX_FAILURES) {
+    console.warn(`Locking ${accountType} account ${identifier} after ${failedCount} failed logins`);
+    await pool.query(
+      `UPDATE login_throttle SET locked_until = now() + make_interval(mins => $3::int)
+       WHERE account_type = $1 AND identifier = $2`,
+      [accountType, identifier, LOCKOUT_MINUTES]
+    );
+  }
+
+  return { failedCount, locked: failedCount >= MAX_FAILURES };
+}
+
+// Successful login clears the account's failure count
+export async function recordLoginSuccess({ accountType, identifier }) {
+  await pool.query(
+    'DELETE FROM login_throttle WHERE account_type = $1 AND identifier = $2',
+    [accountType, identifier]
+  );
+}
+
+// Admin unlock: clears the lockout and failure count. Returns the cleared state, or null.
+export async function unlockAccount({ accountType, identifier }) {
+  const { rows } = await pool.query(
+    'DELETE FROM login_throttle WHERE account_type = $1 AND identifier = $2 RETURNING *',
+    [accountType, identifier]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
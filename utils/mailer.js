@@ -0,0 +1,70 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Pluggable outgoing mail.
+// The transport is chosen with MAIL_TRANSPORT (default: console). Built-in transports
+// are meant for local testing; production deployments register their own provider
+// with registerTransport(name, async (message) => { ... }).
+
+// Log the message to the server console
+async function consoleTransport(message) {
+  console.log('--- Outgoing email ---');
+  console.log(`From: ${message.from}`);
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('----------------------');
+  return { transport: 'console' };
+}
+
+// Write the message as a JSON file to MAIL_OUTBOX_DIR (default: ./mail-outbox)
+async function fileTransport(message) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const safeRecipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const filePath = path.join(outboxDir, `${Date.now()}_${safeRecipient}.json`);
+
+  await fs.writeFile(filePath, JSON.stringify({
+    ...message,
+    sent_at: new Date().toISOString()
+  }, null, 2));
+
+  return { transport: 'file', filePath };
+}
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+export function registerTransport(name, transport) {
+  if (typeof transport !== 'function') {
+    throw new Error(`Mail transport '${name}' must be a function`);
+  }
+  transports[name] = transport;
+}
+
+// Send an email ({ to, subject, text }) through the configured transport
+export async function sendMail({ to, subject, text }) {
+  if (!to || !subject || !text) {
+    throw new Error('Email recipient, subject and text are required');
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@student-portal.local',
+    to,
+    subject,
+    text
+  };
+
+  return transport(message);
+}
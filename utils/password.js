@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Check a new password against the password policy.
+// `disallowed` lists values the password may not equal, e.g. the student's
+// national ID or birth certificate number (the default passwords).
+// Returns a list of problems; an empty list means the password is acceptable.
+export function validatePassword(password, { disallowed = [] } = {}) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  if (!/[a-zA-Z]/.test(password)) {
+    errors.push('Password must contain at least one letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (disallowed.some(value => value && String(value).toLowerCase() === password.toLowerCase())) {
+    errors.push('Password must not be your national ID or birth certificate number');
+  }
+
+  return errors;
+}
+
+// Random single-use token (sent to the user) and the hash we store for it
+export function generateToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
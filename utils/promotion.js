@@ -0,0 +1,121 @@
+import { sql as defaultSql } from '../db.js';
+
+// End-of-year cohort promotion (POST /students/promote/cohort).
+// A student in the cohort is held back when they are not active (on leave,
+// deregistered...), owe more than the allowed fee balance, or have failed units.
+
+// Highest fee balance that still allows promotion
+export const DEFAULT_MAX_FEE_BALANCE = Number(process.env.PROMOTION_MAX_FEE_BALANCE) || 0;
+
+// Scores below this fail a unit (grades E and F always fail)
+export const DEFAULT_PASS_MARK = Number(process.env.PROMOTION_PASS_MARK) || 40;
+
+const FAIL_GRADES = ['E', 'F'];
+
+// Latest graded result of every unit of the given students, as rows of
+// { student_id, unit_code, grade, score }. Only the most recent result of a unit
+// counts, so a passed retake clears an earlier failure.
+export async function latestUnitResults({ studentIds, sql = defaultSql }) {
+  return await sql`
+    WITH graded AS (
+      SELECT r.student_id, r.created_at,
+             unit->>'unit_code' AS unit_code,
+             upper(unit->>'grade') AS grade,
+             CASE WHEN unit->>'score' ~ '^[0-9]+(\.[0-9]+)?$' THEN (unit->>'score')::numeric END AS score
+      FROM results r
+      CROSS JOIN LATERAL jsonb_array_elements(
+        CASE WHEN jsonb_typeof(r.result_data->'units') = 'array' THEN r.result_data->'units' ELSE '[]'::jsonb END
+      ) AS unit
+      WHERE r.student_id = ANY(${studentIds})
+    )
+    SELECT DISTINCT ON (student_id, unit_code) student_id, unit_code, grade, score
+    FROM graded 
+    WHERE unit_code IS NOT NULL
+    ORDER BY student_id, unit_code, created_at DESC
+  `;
+}
+
+// Whether a result row from latestUnitResults is a fail
+export function isFailedResult(result, passMark = DEFAULT_PASS_MARK) {
+  return FAIL_GRADES.includes(result.grade) || (result.score !== null && Number(result.score) < passMark);
+}
+
+// Sort the students of a cohort into those who can be promoted and those held
+// back (with reasons). The cohort is the students whose course is `course` or who
+// are linked to catalogue course `courseId`. Pass the transaction's `sql` with
+// `lock` to lock the rows until the promotion is written.
+export async function evaluateCohort({
+  course,
+  courseId = null,
+  currentLevel,
+  maxFeeBalance = DEFAULT_MAX_FEE_BALANCE,
+  passMark = DEFAULT_PASS_MARK,
+  sql = defaultSql,
+  lock = false
+}) {
+  const students = await sql`
+    SELECT id, registration_number, name, course, level_of_study, status, academic_leave, deregistered
+    FROM students 
+    WHERE (course = ${course} OR course_id = ${courseId}) AND level_of_study = ${currentLevel}
+    ORDER BY registration_number
+    ${lock ? sql`FOR UPDATE` : sql``}
+  `;
+
+  if (students.length === 0) return { eligible: [], heldBack: [] };
+
+  const ids = students.map(student => student.id);
+
+  const balances = await sql`
+    SELECT student_id, SUM(fee_balance) AS balance 
+    FROM fees WHERE student_id = ANY(${ids}) 
+    GROUP BY student_id
+  `;
+  const balanceById = new Map(balances.map(row => [row.student_id, Number(row.balance)]));
+
+  const failedById = new Map();
+  for (const result of await latestUnitResults({ studentIds: ids, sql })) {
+    if (!isFailedResult(result, passMark)) continue;
+    if (!failedById.has(result.student_id)) failedById.set(result.student_id, []);
+    failedById.get(result.student_id).push(result.unit_code);
+  }
+
+  const eligible = [];
+  const heldBack = [];
+
+  for (const student of students) {
+    const reasons = [];
+
+    if (student.deregistered || student.status === 'deregistered') {
+      reasons.push('Deregistered');
+    } else if (student.academic_leave || student.status === 'on_leave') {
+      reasons.push('On academic leave');
+    } else if (student.status && student.status !== 'active') {
+      reasons.push(`Status is ${student.status}`);
+    }
+
+    const balance = balanceById.get(student.id) || 0;
+    if (balance > maxFeeBalance) {
+      reasons.push(`Outstanding fee balance of ${balance}`);
+    }
+
+    const failedUnits = failedById.get(student.id);
+    if (failedUnits) {
+      reasons.push(`Failed units: ${failedUnits.join(', ')}`);
+    }
+
+    const summary = {
+      id: student.id,
+      registration_number: student.registration_number,
+      name: student.name,
+      status: student.status
+    };
+
+    if (reasons.length > 0) {
+      heldBack.push({ ...summary, reasons });
+    } else {
+      eligible.push(summary);
+    }
+  }
+
+  return { eligible, heldBack };
+}
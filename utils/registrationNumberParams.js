@@ -0,0 +1,75 @@
+import { pool } from '../db.js';
+
+// Registration numbers in URLs. Numbers like BIT/001/2025 contain slashes, so
+// every registration-number route accepts the number
+// - URL-encoded:      /students/registration/BIT%2F001%2F2025/allocate-units
+// - slash-split:      /students/registration/BIT/001/2025/allocate-units
+// - dash-substituted: /students/registration/BIT-001-2025/allocate-units
+
+// Both path shapes of a route, for app.on():
+// regNumberPaths('/students/registration', '/allocate-units') gives
+// /students/registration/:regNumber/allocate-units and
+// /students/registration/:course/:number/:year/allocate-units
+export function regNumberPaths(prefix, suffix = '') {
+  return [`${prefix}/:regNumber${suffix}`, `${prefix}/:course/:number/:year${suffix}`];
+}
+
+// Registration number as written in the path (either shape), or null.
+// Hono has already decoded URL-encoded slashes.
+export function getPathRegistrationNumber(c) {
+  const regNumber = c.req.param('regNumber') || c.req.param('registrationNumber');
+  if (regNumber) return regNumber;
+
+  const course = c.req.param('course');
+  const number = c.req.param('number');
+  const year = c.req.param('year');
+  if (course && number && year) return `${course}/${number}/${year}`;
+
+  return null;
+}
+
+// Registration numbers a path value may stand for, the literal value first.
+// Dashes are only read as slashes when the value has no slashes, since some
+// registration numbers contain real dashes.
+export function registrationNumberCandidates(value) {
+  if (!value) return [];
+
+  const candidates = [value];
+  if (!value.includes('/') && value.includes('-')) {
+    candidates.push(value.replace(/-/g, '/'));
+  }
+  return candidates;
+}
+
+// Middleware for registration-number routes (after the auth middleware): looks
+// up the student addressed by the path. On success the stored registration
+// number is available as c.get('registrationNumber') and the student's id as
+// c.get('registrationStudentId'); otherwise responds with 404.
+export function resolveRegistrationNumber() {
+  return async (c, next) => {
+    const candidates = registrationNumberCandidates(getPathRegistrationNumber(c));
+
+    const { rows } = candidates.length === 0
+      ? { rows: [] }
+      : await pool.query(
+        'SELECT id, registration_number FROM students WHERE registration_number = ANY($1)',
+        [candidates]
+      );
+
+    // Prefer the literal value over the dash-substituted one
+    const student = candidates
+      .map(candidate => rows.find(row => row.registration_number === candidate))
+      .find(Boolean);
+
+    if (!student) {
+      return c.json({ 
+        error: 'Student not found', 
+        details: 'No student found with the provided registration number' 
+      }, 404);
+    }
+
+    c.set('registrationNumber', student.registration_number);
+    c.set('registrationStudentId', student.id);
+    await next();
+  };
+}
@@ -0,0 +1,121 @@
+import { sql as defaultSql } from '../db.js';
+
+// Registration number generator. A course's pattern combines a prefix, a
+// zero-padded sequence and the intake year, e.g. {prefix}/{seq}/{year} gives
+// BIT/0042/2025. Used when POST /students or the CSV import omit the number.
+
+export const DEFAULT_FORMAT = '{prefix}/{seq}/{year}';
+export const DEFAULT_SEQUENCE_DIGITS = 4;
+
+// Numbers already taken (typed in manually) are skipped, up to this many times
+const MAX_ATTEMPTS = 50;
+
+// Tokens allowed in a format: {prefix}, {seq}, {year} (2025) and {yy} (25)
+const TOKEN_PATTERN = /\{(prefix|seq|year|yy)\}/g;
+
+export function formatRegistrationNumber(pattern, sequence, intakeYear) {
+  const values = {
+    prefix: pattern.prefix,
+    seq: String(sequence).padStart(pattern.sequence_digits, '0'),
+    year: String(intakeYear),
+    yy: String(intakeYear).slice(-2)
+  };
+  return pattern.format.replace(TOKEN_PATTERN, (token, name) => values[name]);
+}
+
+// Intake year from a request (defaults to the current year); null if invalid
+export function parseIntakeYear(value) {
+  if (value === undefined || value === null || value === '') return new Date().getFullYear();
+
+  const year = Number(value);
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+}
+
+// Check a pattern from a request body ({ prefix, sequence_digits, format }).
+// Returns { values, errors } with defaults applied.
+export function validatePattern(input) {
+  const errors = [];
+  const values = {
+    prefix: typeof input.prefix === 'string' ? input.prefix.trim() : '',
+    sequence_digits: input.sequence_digits === undefined ? DEFAULT_SEQUENCE_DIGITS : Number(input.sequence_digits),
+    format: typeof input.format === 'string' && input.format.trim() ? input.format.trim() : DEFAULT_FORMAT
+  };
+
+  if (!/^[A-Za-z0-9-]{1,20}$/.test(values.prefix)) {
+    errors.push('prefix must be 1-20 letters, digits or "-"');
+  }
+  if (!Number.isInteger(values.sequence_digits) || values.sequence_digits < 1 || values.sequence_digits > 8) {
+    errors.push('sequence_digits must be a whole number from 1 to 8');
+  }
+
+  // The sequence restarts every intake, so the year must be part of the number
+  if (!values.format.includes('{seq}') || !/\{(year|yy)\}/.test(values.format)) {
+    errors.push('format must contain {seq} and {year} or {yy}');
+  } else if (!/^[A-Za-z0-9/-]*$/.test(values.format.replace(TOKEN_PATTERN, ''))) {
+    errors.push('format may only contain the tokens {prefix}, {seq}, {year}, {yy}, letters, digits, "/" and "-"');
+  }
+
+  if (errors.length === 0) {
+    const sample = formatRegistrationNumber(values, 10 ** values.sequence_digits - 1, 2025);
+    if (sample.length > 50) errors.push('Generated registration numbers would be longer than 50 characters');
+  }
+
+  return { values, errors };
+}
+
+async function findPattern(sql, course) {
+  const [pattern] = await sql`SELECT * FROM registration_number_patterns WHERE course = ${course}`;
+  return pattern || null;
+}
+
+// Allocate the next registration number for a course and intake.
+// Pass the transaction's `sql` to allocate inside it; `reserved` holds numbers
+// that are about to be used by other rows (e.g. later lines of an import).
+// Returns { registrationNumber, sequence } or { error } when the course has no pattern.
+export async function generateRegistrationNumber(course, { intakeYear, sql = defaultSql, reserved = new Set() }) {
+  const pattern = await findPattern(sql, course);
+  if (!pattern) {
+    return { error: `No registration number pattern is configured for course ${course}` };
+  }
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    // Row-level upsert: concurrent requests always receive different values
+    const [{ last_value: sequence }] = await sql`
+      INSERT INTO registration_number_sequences (course, intake_year, last_value)
+      VALUES (${course}, ${intakeYear}, 1)
+      ON CONFLICT (course, intake_year) DO UPDATE SET 
+        last_value = registration_number_sequences.last_value + 1,
+        updated_at = now()
+      RETURNING last_value
+    `;
+
+    const registrationNumber = formatRegistrationNumber(pattern, sequence, intakeYear);
+    if (reserved.has(registrationNumber)) continue;
+
+    const taken = await sql`SELECT id FROM students WHERE registration_number = ${registrationNumber}`;
+    if (taken.length === 0) return { registrationNumber, sequence };
+  }
+
+  return { error: `Could not find a free registration number for ${course} ${intakeYear}` };
+}
+
+// The next `count` numbers for a course and intake without allocating them
+// (previews and dry runs; numbers taken in the meantime are skipped on creation).
+// Returns { registrationNumbers } or { error } when the course has no pattern.
+export async function previewRegistrationNumbers(course, { intakeYear, count = 1, sql = defaultSql }) {
+  const pattern = await findPattern(sql, course);
+  if (!pattern) {
+    return { error: `No registration number pattern is configured for course ${course}` };
+  }
+
+  const [current] = await sql`
+    SELECT last_value FROM registration_number_sequences 
+    WHERE course = ${course} AND intake_year = ${intakeYear}
+  `;
+  const lastValue = current ? current.last_value : 0;
+
+  return {
+    registrationNumbers: Array.from({ length: count }, (_, index) =>
+      formatRegistrationNumber(pattern, lastValue + index + 1, intakeYear))
+  };
+}
@@ -0,0 +1,96 @@
+import jwt from 'jsonwebtoken';
+import { pool } from '../db.js';
+import { generateToken, hashToken } from './password.js';
+
+// Login sessions. Every login creates a row in `sessions`; the access token (JWT)
+// carries its id as `sid` and the long-lived refresh token is stored hashed.
+// Revoking a session invalidates both its access and refresh tokens.
+
+const ACCESS_TOKEN_TTL = {
+  student: '2h',
+  admin: '8h'
+};
+
+const SESSION_TTL_HOURS = {
+  student: 24 * 7,
+  admin: 24
+};
+
+// Sign the access token for a student ({ id, registration_number }) or admin ({ id, username })
+export function signAccessToken(accountType, account, sessionId) {
+  const payload = accountType === 'admin'
+    ? { username: account.username, admin_id: account.id, type: 'admin', sid: sessionId }
+    : { registration_number: account.registration_number, student_id: account.id, type: 'student', sid: sessionId };
+
+  return jwt.sign(payload, process.env.SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL[accountType] });
+}
+
+// Start a session and issue its tokens.
+// Returns { token, refresh_token, session_id, refresh_expires_at } for the login response.
+export async function createSession({ accountType, account, ip, userAgent }) {
+  const { token: refreshToken, tokenHash } = generateToken();
+
+  const { rows } = await pool.query(
+    `INSERT INTO sessions (account_type, account_id, refresh_token_hash, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, now() + make_interval(hours => $6::int))
+     RETURNING id, expires_at`,
+    [accountType, account.id, tokenHash, ip || null, userAgent || null, SESSION_TTL_HOURS[accountType]]
+  );
+
+  return {
+    token: signAccessToken(accountType, account, rows[0].id),
+    refresh_token: refreshToken,
+    session_id: rows[0].id,
+    refresh_expires_at: rows[0].expires_at
+  };
+}
+
+// Exchange a refresh token for a new access token, rotating the refresh token.
+// Returns the active session row ({ id, account_type, account_id, ... }) and the
+// new refresh token, or null if the token is unknown, revoked or expired.
+export async function rotateRefreshToken(refreshToken) {
+  const { token: newRefreshToken, tokenHash: newTokenHash } = generateToken();
+
+  const { rows } = await pool.query(
+    `UPDATE sessions SET refresh_token_hash = $2, last_refreshed_at = now()
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > now()
+     RETURNING *`,
+    [hashToken(refreshToken), newTokenHash]
+  );
+
+  if (rows.length === 0) return null;
+  return { session: rows[0], refreshToken: newRefreshToken };
+}
+
+export async function isSessionActive(sessionId) {
+  const { rows } = await pool.query(
+    'SELECT id FROM sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > now()',
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+// Revoke a single session by id or by refresh token. Returns the revoked row, or null.
+export async function revokeSession({ sessionId, refreshToken, reason = 'logout' }) {
+  const { rows } = await pool.query(
+    `UPDATE sessions SET revoked_at = now(), revoked_reason = $3
+     WHERE (id = $1 OR refresh_token_hash = $2) AND revoked_at IS NULL
+     RETURNING id, account_type, account_id`,
+    [sessionId || null, refreshToken ? hashToken(refreshToken) : null, reason]
+  );
+
+  return rows.length === 0 ? null : rows[0];
+}
+
+// Revoke every active session of a student or admin. Returns the number revoked.
+export async function revokeAccountSessions({ accountType, accountId, reason, exceptSessionId = null }) {
+  const { rows } = await pool.query(
+    `UPDATE sessions SET revoked_at = now(), revoked_reason = $3
+     WHERE account_type = $1 AND account_id = $2 AND revoked_at IS NULL
+       AND ($4::uuid IS NULL OR id <> $4::uuid)
+     RETURNING id`,
+    [accountType, accountId, reason, exceptSessionId]
+  );
+
+  return rows.length;
+}
@@ -0,0 +1,82 @@
+import { pool } from '../db.js';
+import { getActor } from './audit.js';
+
+// Student status timeline (student_status_history). Routes that change a
+// student's status call recordStatusChange with the row before and after.
+
+// Leave, deregistration and graduation columns that status changes overwrite or clear
+const STATUS_DETAIL_FIELDS = [
+  'academic_leave',
+  'academic_leave_start',
+  'academic_leave_end',
+  'academic_leave_reason',
+  'deregistered',
+  'deregistration_date',
+  'deregistration_reason',
+  'graduation_date',
+  'award_class'
+];
+
+function pickStatusDetails(row) {
+  const details = {};
+  for (const field of STATUS_DETAIL_FIELDS) {
+    if (row && row[field] !== undefined) details[field] = row[field];
+  }
+  return details;
+}
+
+// Reason and dates that apply to the new status
+function describeStatus(row) {
+  if (row.status === 'on_leave') {
+    return { reason: row.academic_leave_reason, startDate: row.academic_leave_start, endDate: row.academic_leave_end };
+  }
+  if (row.status === 'deregistered') {
+    return { reason: row.deregistration_reason, startDate: row.deregistration_date, endDate: null };
+  }
+  if (['completed', 'graduated', 'alumni'].includes(row.status)) {
+    return { reason: row.award_class ? `Award: ${row.award_class}` : null, startDate: row.graduation_date, endDate: null };
+  }
+  return { reason: null, startDate: null, endDate: null };
+}
+
+// Append a history entry for a student whose row went from `before` to `after`
+// (full students rows; `before` is null for new students). Nothing is recorded
+// when neither the status nor its leave/deregistration details changed.
+// `c` is the request context, or null for scheduled jobs. `reason` overrides the
+// reason taken from the row (e.g. why a student was restored).
+// Failures are logged but never fail the request, whose change is already committed.
+export async function recordStatusChange(c, { before, after, reason }) {
+  try {
+    if (!after) return;
+
+    const previousDetails = before ? pickStatusDetails(before) : null;
+    const unchanged = before
+      && before.status === after.status
+      && JSON.stringify(previousDetails) === JSON.stringify(pickStatusDetails(after));
+    if (unchanged) return;
+
+    const actor = getActor(c);
+    const status = describeStatus(after);
+
+    await pool.query(
+      `INSERT INTO student_status_history (
+        student_id, from_status, to_status, reason, start_date, end_date, previous_details,
+        changed_by_type, changed_by_id, changed_by_username
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        after.id,
+        before ? before.status : null,
+        after.status,
+        reason || status.reason || null,
+        status.startDate || null,
+        status.endDate || null,
+        previousDetails ? JSON.stringify(previousDetails) : null,
+        actor.type,
+        actor.id,
+        actor.username
+      ]
+    );
+  } catch (error) {
+    console.error(`Failed to record status change for student ${after?.id}:`, error);
+  }
+}
@@ -0,0 +1,87 @@
+import { pool } from '../db.js';
+import { validateEmail, validatePhone } from './studentValidation.js';
+
+// Guardian, sponsor and emergency contacts of a student (student_contacts)
+
+export const CONTACT_TYPES = ['guardian', 'sponsor', 'emergency'];
+
+export const CONTACT_FIELDS = ['contact_type', 'name', 'relationship', 'phone', 'email', 'address', 'is_primary'];
+
+const REQUIRED_FIELDS = ['contact_type', 'name', 'phone'];
+
+function text(maxLength) {
+  return (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') return { error: `${field} must not be empty` };
+    const trimmed = value.trim();
+    if (trimmed.length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+    return { value: trimmed };
+  };
+}
+
+const VALIDATORS = {
+  contact_type: value => CONTACT_TYPES.includes(value)
+    ? { value }
+    : { error: `contact_type must be one of: ${CONTACT_TYPES.join(', ')}` },
+  name: text(255),
+  relationship: text(50),
+  phone: validatePhone,
+  email: validateEmail,
+  address: text(500),
+  is_primary: value => typeof value === 'boolean'
+    ? { value }
+    : { error: 'is_primary must be true or false' }
+};
+
+// Validate a contact from a request body. With `partial` (PATCH) only the fields
+// sent are checked; otherwise contact_type, name and phone are required.
+// Returns { values, errors } like validateStudentUpdate.
+export function validateContact(body, { partial = false } = {}) {
+  const values = {};
+  const errors = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!CONTACT_FIELDS.includes(field)) {
+      errors[field] = 'Unknown field';
+      continue;
+    }
+
+    if (value === null || value === '') {
+      if (REQUIRED_FIELDS.includes(field) || field === 'is_primary') {
+        errors[field] = `${field} must not be empty`;
+      } else {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const result = VALIDATORS[field](value, field);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  if (!partial) {
+    for (const field of REQUIRED_FIELDS) {
+      if (values[field] === undefined && !errors[field]) errors[field] = `${field} is required`;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Contacts of a student, primary contacts first
+export async function getStudentContacts(studentId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM student_contacts 
+     WHERE student_id = $1 
+     ORDER BY contact_type, is_primary DESC, created_at`,
+    [studentId]
+  );
+  return rows;
+}
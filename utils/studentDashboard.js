@@ -0,0 +1,125 @@
+import { pool } from '../db.js';
+import { FINISHED_STATUSES } from './graduation.js';
+
+// Student portal dashboard (GET /students/:id/dashboard): what the portal used
+// to fetch from the fees, registered units, allocated units, documents and exam
+// card endpoints, in one response. Sections load independently so one failing
+// query leaves the others intact.
+
+// Same figures as GET /students/:id/fees
+async function loadFees(student) {
+  const { rows } = await pool.query(
+    'SELECT fee_balance, total_paid, semester_fee FROM fees WHERE student_id = $1',
+    [student.id]
+  );
+
+  if (rows.length === 0) {
+    return { fee_balance: 0, total_paid: 0, semester_fee: 0, session_progress: 0 };
+  }
+
+  const fees = rows[0];
+  return {
+    ...fees,
+    session_progress: fees.semester_fee > 0 ? Math.round((fees.total_paid / fees.semester_fee) * 100) : 0
+  };
+}
+
+// Allocated units the student has not registered yet
+async function loadPendingAllocations(student) {
+  const { rows } = await pool.query(
+    `SELECT au.*, u.unit_name, u.unit_code
+     FROM allocated_units au
+     JOIN units u ON au.unit_id = u.id
+     WHERE au.student_id = $1 AND au.status = 'allocated'
+     ORDER BY au.semester, u.unit_code`,
+    [student.id]
+  );
+  return rows;
+}
+
+async function loadRegisteredUnits(student) {
+  const { rows } = await pool.query(
+    'SELECT * FROM registered_units WHERE student_id = $1 ORDER BY unit_code',
+    [student.id]
+  );
+  return rows;
+}
+
+// Most recent document of each type, keyed by document_type. Exam cards are left
+// to the exam_card section, which only links them for eligible students.
+async function loadLatestDocuments(student) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT ON (document_type) *
+     FROM student_documents
+     WHERE registration_number = $1 AND document_type <> 'exam-card'
+     ORDER BY document_type, uploaded_at DESC`,
+    [student.registration_number]
+  );
+  return Object.fromEntries(rows.map(row => [row.document_type, row]));
+}
+
+// Whether GET /students/:id/exam-card would hand out a card: the student has not
+// finished their studies and owes no fees. `file_url` is the latest card, if any.
+async function loadExamCard(student) {
+  const reasons = [];
+
+  if (FINISHED_STATUSES.includes(student.status)) {
+    reasons.push(`Student is ${student.status}`);
+  }
+
+  const { rows: feeRows } = await pool.query(
+    'SELECT fee_balance FROM fees WHERE student_id = $1',
+    [student.id]
+  );
+  const feeBalance = feeRows.length > 0 ? parseFloat(feeRows[0].fee_balance) || 0 : 0;
+  if (feeBalance > 0) {
+    reasons.push('Please complete your fee payment to download your exam card.');
+  }
+
+  const { rows: docRows } = await pool.query(
+    `SELECT file_url, uploaded_at FROM student_documents
+     WHERE registration_number = $1 AND document_type = 'exam-card'
+     ORDER BY uploaded_at DESC LIMIT 1`,
+    [student.registration_number]
+  );
+
+  return {
+    eligible: reasons.length === 0,
+    reasons,
+    fee_balance: feeBalance,
+    available: docRows.length > 0,
+    file_url: reasons.length === 0 && docRows.length > 0 ? docRows[0].file_url : null,
+    uploaded_at: docRows.length > 0 ? docRows[0].uploaded_at : null
+  };
+}
+
+const SECTIONS = {
+  fees: loadFees,
+  pending_allocations: loadPendingAllocations,
+  registered_units: loadRegisteredUnits,
+  latest_documents: loadLatestDocuments,
+  exam_card: loadExamCard
+};
+
+// Load every section for `student` (a row with id, registration_number and status).
+// Returns { sections, errors }: a failed section is null in `sections` and its
+// error message is in `errors`.
+export async function loadDashboardSections(student) {
+  const names = Object.keys(SECTIONS);
+  const results = await Promise.allSettled(names.map(name => SECTIONS[name](student)));
+
+  const sections = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    const name = names[index];
+    if (result.status === 'fulfilled') {
+      sections[name] = result.value;
+    } else {
+      console.error(`Dashboard section ${name} failed for student ${student.id}:`, result.reason);
+      sections[name] = null;
+      errors[name] = result.reason?.message || 'Failed to load';
+    }
+  });
+
+  return { sections, errors };
+}
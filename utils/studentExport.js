@@ -0,0 +1,122 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { toCsvRow } from './csv.js';
+
+// Student export (GET /students/export) as CSV or XLSX. Rows arrive in batches
+// from a database cursor and are written straight to the response stream.
+
+// Columns that can be exported, with their header labels
+export const EXPORT_COLUMNS = {
+  registration_number: 'Registration Number',
+  name: 'Name',
+  course: 'Course',
+  level_of_study: 'Level of Study',
+  status: 'Status',
+  email: 'Email',
+  phone: 'Phone',
+  national_id: 'National ID',
+  birth_certificate: 'Birth Certificate',
+  date_of_birth: 'Date of Birth',
+  academic_leave_start: 'Leave Start',
+  academic_leave_end: 'Leave End',
+  academic_leave_reason: 'Leave Reason',
+  deregistration_date: 'Deregistration Date',
+  deregistration_reason: 'Deregistration Reason',
+  graduation_date: 'Graduation Date',
+  award_class: 'Award Class',
+  guardian_name: 'Guardian Name',
+  guardian_relationship: 'Guardian Relationship',
+  guardian_phone: 'Guardian Phone',
+  sponsor_name: 'Sponsor Name',
+  sponsor_relationship: 'Sponsor Relationship',
+  sponsor_phone: 'Sponsor Phone',
+  emergency_contact_name: 'Emergency Contact Name',
+  emergency_contact_relationship: 'Emergency Contact Relationship',
+  emergency_contact_phone: 'Emergency Contact Phone'
+};
+
+// Contact columns come from the student's primary (else oldest) contact of each type
+const CONTACT_COLUMN_PREFIXES = {
+  guardian: 'guardian',
+  sponsor: 'sponsor',
+  emergency: 'emergency_contact'
+};
+
+const CONTACT_COLUMNS = Object.fromEntries(
+  Object.entries(CONTACT_COLUMN_PREFIXES).flatMap(([contactType, prefix]) =>
+    ['name', 'relationship', 'phone'].map(field => [`${prefix}_${field}`, { contactType, field }])
+  )
+);
+
+export const DEFAULT_EXPORT_COLUMNS = ['registration_number', 'name', 'course', 'level_of_study', 'status', 'email', 'phone'];
+
+export const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Parse the comma-separated `columns` query parameter.
+// Returns { columns } or { error } naming the unknown columns.
+export function parseExportColumns(value) {
+  if (!value) return { columns: DEFAULT_EXPORT_COLUMNS };
+
+  const columns = [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ') || '(none given)'}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+  return { columns };
+}
+
+// SELECT list for the export query; contact columns become subqueries on student_contacts
+export function exportSelectList(columns) {
+  return columns.map(column => {
+    const contact = CONTACT_COLUMNS[column];
+    if (!contact) return column;
+
+    return `(SELECT sc.${contact.field} FROM student_contacts sc 
+      WHERE sc.student_id = students.id AND sc.contact_type = '${contact.contactType}' 
+      ORDER BY sc.is_primary DESC, sc.created_at LIMIT 1) AS ${column}`;
+  }).join(', ');
+}
+
+// Dates come back from the database as Date objects; export them as YYYY-MM-DD
+function formatValue(value) {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  return value === null || value === undefined ? '' : value;
+}
+
+async function write(out, chunk) {
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+
+// Write the export to the Node stream `out` and end it. `batches` is an async
+// iterable of arrays of student rows (e.g. a postgres.js cursor).
+export async function writeStudentExport(out, { format, columns, batches }) {
+  if (format === 'csv') {
+    // BOM so Excel opens the UTF-8 file with the right encoding
+    await write(out, '\ufeff' + toCsvRow(columns.map(column => EXPORT_COLUMNS[column])));
+
+    for await (const rows of batches) {
+      await write(out, rows.map(row => toCsvRow(columns.map(column => formatValue(row[column])))).join(''));
+    }
+
+    out.end();
+    return;
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  const sheet = workbook.addWorksheet('Students');
+  sheet.columns = columns.map(column => ({ header: EXPORT_COLUMNS[column], key: column, width: 22 }));
+  sheet.getRow(1).font = { bold: true };
+
+  for await (const rows of batches) {
+    for (const row of rows) {
+      sheet.addRow(columns.map(column => formatValue(row[column]))).commit();
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit(); // ends `out`
+}
@@ -0,0 +1,111 @@
+import { parseCsv } from './csv.js';
+import { validateStudentUpdate, ADMIN_EDITABLE_FIELDS } from './studentValidation.js';
+import { validatePassword } from './password.js';
+import { parseIntakeYear } from './registrationNumbers.js';
+
+// CSV bulk import of students (POST /students/import). Rows carry the same
+// fields POST /students accepts; validation reuses the profile update rules.
+// Rows without a registration number get one generated from the course's
+// pattern for their intake_year (default: this year).
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const IMPORT_FIELDS = ['registration_number', 'intake_year', 'password', ...ADMIN_EDITABLE_FIELDS];
+const REQUIRED_FIELDS = ['name', 'course', 'level_of_study'];
+
+// Common alternative spellings of the column headers
+const HEADER_ALIASES = {
+  reg_number: 'registration_number',
+  reg_no: 'registration_number',
+  registration_no: 'registration_number',
+  admission_number: 'registration_number',
+  intake: 'intake_year',
+  full_name: 'name',
+  level: 'level_of_study',
+  year_of_study: 'level_of_study',
+  id_number: 'national_id',
+  birth_cert: 'birth_certificate',
+  dob: 'date_of_birth',
+  email_address: 'email',
+  phone_number: 'phone'
+};
+
+function normalizeHeader(header) {
+  const key = header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return HEADER_ALIASES[key] || key;
+}
+
+// Parse an uploaded CSV into { rows: [{ line, data }], ignoredColumns } or { error }.
+// `line` is the 1-based line in the file (the header is line 1).
+export function parseStudentCsv(text) {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    return { error: `Invalid CSV: ${error.message}` };
+  }
+
+  if (records.length < 2) {
+    return { error: 'The CSV file must have a header row and at least one student' };
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} students can be imported at once` };
+  }
+
+  const headers = records[0].map(normalizeHeader);
+  const missing = REQUIRED_FIELDS.filter(field => !headers.includes(field));
+  if (missing.length > 0) {
+    return { error: `Missing required columns: ${missing.join(', ')}` };
+  }
+
+  const ignoredColumns = records[0].filter((header, index) => !IMPORT_FIELDS.includes(headers[index]));
+
+  const rows = records.slice(1).map((record, index) => {
+    const data = {};
+    headers.forEach((header, column) => {
+      if (IMPORT_FIELDS.includes(header)) data[header] = (record[column] || '').trim();
+    });
+    return { line: index + 2, data };
+  });
+
+  return { rows, ignoredColumns };
+}
+
+// Validate one parsed row. Returns { values, errors } like validateStudentUpdate;
+// empty optional cells are left out so database defaults apply.
+export function validateImportRow(data) {
+  const errors = {};
+  const { registration_number, intake_year, password, ...profile } = data;
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!data[field]) errors[field] = `${field} is required`;
+  }
+
+  if (registration_number && !/^[A-Za-z0-9/-]{3,50}$/.test(registration_number)) {
+    errors.registration_number = 'registration_number must be 3-50 letters, digits, "/" or "-"';
+  }
+
+  const intakeYear = parseIntakeYear(intake_year);
+  if (intakeYear === null) {
+    errors.intake_year = 'intake_year must be a year between 2000 and 2100';
+  }
+
+  const filled = Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== ''));
+  const { values, errors: fieldErrors } = validateStudentUpdate(filled, ADMIN_EDITABLE_FIELDS);
+  Object.assign(errors, fieldErrors);
+
+  if (password) {
+    const passwordErrors = validatePassword(password, { disallowed: [values.national_id, values.birth_certificate] });
+    if (passwordErrors.length > 0) errors.password = passwordErrors.join('. ');
+  }
+
+  return {
+    values: {
+      registration_number,
+      ...(registration_number ? {} : { intake_year: intakeYear }),
+      ...values,
+      ...(password ? { password } : {})
+    },
+    errors
+  };
+}
@@ -0,0 +1,104 @@
+import { sql } from '../db.js';
+
+// Merge of two records of the same student (POST /students/:id/merge). The
+// duplicate's fees, finance records, documents, units, results and other
+// history move onto the survivor, empty profile fields of the survivor are
+// filled from the duplicate, and the duplicate is deleted.
+
+// Tables whose rows reference students.id and move to the survivor
+const MERGED_TABLES = [
+  'fees',
+  'finance',
+  'registered_units',
+  'allocated_units',
+  'results',
+  'timetables',
+  'exam_cards',
+  'student_contacts',
+  'student_status_history',
+  'leave_applications',
+  'deregistration_requests'
+];
+
+// Survivor fields taken from the duplicate when the survivor has none. Filling an
+// ID only replaces a default password (see the update_student_password trigger).
+const FILLABLE_FIELDS = ['national_id', 'birth_certificate', 'date_of_birth', 'email', 'phone', 'photo_url'];
+
+// Merge `duplicateId` into `survivorId` in one transaction.
+// Returns { survivorBefore, survivor, duplicate, moved, filledFields } or
+// { error, status } when a student is missing or the records cannot be combined.
+export async function mergeStudents({ survivorId, duplicateId }) {
+  return await sql.begin(async sql => {
+    const students = await sql`SELECT * FROM students WHERE id IN (${survivorId}, ${duplicateId}) FOR UPDATE`;
+    const survivorBefore = students.find(student => student.id === survivorId);
+    const duplicate = students.find(student => student.id === duplicateId);
+
+    if (!survivorBefore) return { status: 404, error: 'Student not found' };
+    if (!duplicate) return { status: 404, error: 'Duplicate student not found' };
+
+    // Only one pending leave application and deregistration request per student
+    for (const table of ['leave_applications', 'deregistration_requests']) {
+      const [{ count }] = await sql`
+        SELECT COUNT(DISTINCT student_id)::int AS count FROM ${sql(table)}
+        WHERE student_id IN (${survivorId}, ${duplicateId}) AND status = 'pending'
+      `;
+      if (count > 1) {
+        return { status: 409, error: `Both students have a pending ${table === 'leave_applications' ? 'leave application' : 'deregistration request'}; resolve one first` };
+      }
+    }
+
+    // Units allocated to both for the same semester are kept once
+    const droppedAllocations = await sql`
+      DELETE FROM allocated_units d
+      USING allocated_units s
+      WHERE d.student_id = ${duplicateId} AND s.student_id = ${survivorId}
+        AND d.unit_id = s.unit_id AND d.semester = s.semester AND d.academic_year = s.academic_year
+      RETURNING d.id
+    `;
+
+    // The survivor's primary contacts stay primary
+    await sql`
+      UPDATE student_contacts d SET is_primary = false
+      WHERE d.student_id = ${duplicateId} AND d.is_primary AND EXISTS (
+        SELECT 1 FROM student_contacts s
+        WHERE s.student_id = ${survivorId} AND s.contact_type = d.contact_type AND s.is_primary
+      )
+    `;
+
+    const moved = {};
+    for (const table of MERGED_TABLES) {
+      const rows = await sql`
+        UPDATE ${sql(table)} SET student_id = ${survivorId}
+        WHERE student_id = ${duplicateId}
+        RETURNING id
+      `;
+      moved[table] = rows.length;
+    }
+    moved.allocated_units_dropped = droppedAllocations.length;
+
+    // Documents are filed under the registration number
+    const documents = await sql`
+      UPDATE student_documents SET registration_number = ${survivorBefore.registration_number}
+      WHERE registration_number = ${duplicate.registration_number}
+      RETURNING id
+    `;
+    moved.student_documents = documents.length;
+
+    await sql`
+      UPDATE sessions SET revoked_at = now(), revoked_reason = 'student_merged'
+      WHERE account_type = 'student' AND account_id = ${duplicateId} AND revoked_at IS NULL
+    `;
+
+    const filled = Object.fromEntries(FILLABLE_FIELDS
+      .filter(field => survivorBefore[field] == null && duplicate[field] != null)
+      .map(field => [field, duplicate[field]]));
+
+    await sql`DELETE FROM students WHERE id = ${duplicateId}`;
+
+    const [survivor] = Object.keys(filled).length > 0
+      ? await sql`UPDATE students SET ${sql(filled)} WHERE id = ${survivorId} RETURNING *`
+      : await sql`SELECT * FROM students WHERE id = ${survivorId}`;
+
+    return { survivorBefore, survivor, duplicate, moved, filledFields: Object.keys(filled) };
+  });
+}
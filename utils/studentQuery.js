@@ -0,0 +1,99 @@
+// Student listing: column projection, filters, search, sorting and pagination
+// shared by GET /students and the other student list endpoints.
+
+// Columns returned for students. Never includes `password`.
+export const STUDENT_COLUMNS = `id, registration_number, name, course, course_id, level_of_study, national_id, 
+  birth_certificate, date_of_birth, email, phone, photo_url, status, 
+  academic_leave, academic_leave_start, academic_leave_end, academic_leave_reason, 
+  deregistered, deregistration_date, deregistration_reason, graduation_date, award_class, 
+  must_change_password, needs_unit_reallocation`;
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+
+const SORTABLE_COLUMNS = ['name', 'registration_number', 'course', 'level_of_study', 'status', 'date_of_birth'];
+
+// Columns matched by the free-text `search` parameter
+const SEARCH_COLUMNS = ['name', 'registration_number', 'national_id', 'email'];
+
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+// Escape LIKE wildcards so the search term is matched literally
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// Turn the query string of a listing request into SQL pieces.
+// Supported: search, course, level (level_of_study), status (comma-separated),
+// needs_unit_reallocation (true/false), sort (one of SORTABLE_COLUMNS),
+// order (asc/desc), page, limit.
+// Returns { where, params, orderBy, limit, offset, page } or { error } for invalid input.
+export function parseStudentListQuery(query) {
+  const conditions = [];
+  const params = [];
+
+  const search = (query.search || query.q || '').trim();
+  if (search) {
+    params.push(`%${escapeLike(search)}%`);
+    conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} ILIKE $${params.length}`).join(' OR ')})`);
+  }
+
+  // Course code, or a course name from the catalogue
+  if (query.course) {
+    params.push(query.course);
+    conditions.push(`(course = $${params.length} OR course_id IN (
+      SELECT id FROM courses WHERE course_key(code) = course_key($${params.length}) OR course_key(name) = course_key($${params.length})))`);
+  }
+
+  const level = query.level || query.level_of_study;
+  if (level) {
+    params.push(level);
+    conditions.push(`level_of_study = $${params.length}`);
+  }
+
+  if (query.status) {
+    params.push(query.status.split(',').map(status => status.trim()).filter(Boolean));
+    conditions.push(`status = ANY($${params.length})`);
+  }
+
+  if (query.needs_unit_reallocation !== undefined) {
+    if (!['true', 'false'].includes(query.needs_unit_reallocation)) {
+      return { error: 'needs_unit_reallocation must be true or false' };
+    }
+    params.push(query.needs_unit_reallocation === 'true');
+    conditions.push(`needs_unit_reallocation = $${params.length}`);
+  }
+
+  const sort = query.sort || 'name';
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of: ${SORTABLE_COLUMNS.join(', ')}` };
+  }
+
+  const order = (query.order || 'asc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  const limit = parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE);
+  if (page === null || limit === null) {
+    return { error: 'page and limit must be positive integers' };
+  }
+  if (limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be at most ${MAX_PAGE_SIZE}` };
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    // id keeps the order stable between pages when sort values repeat
+    orderBy: `ORDER BY ${sort} ${order.toUpperCase()} NULLS LAST, id`,
+    limit,
+    offset: (page - 1) * limit,
+    page
+  };
+}
@@ -0,0 +1,125 @@
+// Field-level validation for student profile updates.
+// Status, leave, deregistration, password and photo fields have their own routes.
+
+// Fields an admin may change with PUT/PATCH /students/:id
+export const ADMIN_EDITABLE_FIELDS = [
+  'name',
+  'course',
+  'level_of_study',
+  'national_id',
+  'birth_certificate',
+  'date_of_birth',
+  'email',
+  'phone'
+];
+
+// Fields students may change on their own profile
+export const SELF_SERVICE_FIELDS = ['email', 'phone'];
+
+// Fields that may not be cleared
+const REQUIRED_FIELDS = ['name', 'course', 'level_of_study'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Email and phone checks, also used for student contacts.
+// Return { value } (normalized) or { error }.
+export function validateEmail(value, field = 'email') {
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized.length > 254 || !EMAIL_PATTERN.test(normalized)) {
+    return { error: `${field} must be a valid email address` };
+  }
+  return { value: normalized };
+}
+
+export function validatePhone(value, field = 'phone') {
+  const normalized = String(value).replace(/[\s()-]/g, '');
+  if (!/^\+?[0-9]{7,15}$/.test(normalized)) {
+    return { error: `${field} must be 7-15 digits, optionally starting with +` };
+  }
+  return { value: normalized };
+}
+
+function requiredText(maxLength) {
+  return (value, field) => {
+    if (typeof value !== 'string' || value.trim() === '') return { error: `${field} must not be empty` };
+    if (value.trim().length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+    return { value: value.trim() };
+  };
+}
+
+const VALIDATORS = {
+  name: requiredText(255),
+  course: requiredText(100),
+  level_of_study: requiredText(50),
+
+  national_id: value => {
+    const normalized = String(value).trim();
+    if (!/^[A-Za-z0-9]{5,20}$/.test(normalized)) {
+      return { error: 'national_id must be 5-20 letters or digits' };
+    }
+    return { value: normalized };
+  },
+
+  birth_certificate: value => {
+    const normalized = String(value).trim();
+    if (!/^[A-Za-z0-9/-]{3,30}$/.test(normalized)) {
+      return { error: 'birth_certificate must be 3-30 letters, digits, "/" or "-"' };
+    }
+    return { value: normalized };
+  },
+
+  date_of_birth: value => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+    if (!match) return { error: 'date_of_birth must be in YYYY-MM-DD format' };
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return { error: 'date_of_birth is not a valid date' };
+    }
+    if (year < 1900 || date > new Date()) {
+      return { error: 'date_of_birth must be between 1900-01-01 and today' };
+    }
+    return { value: match[0] };
+  },
+
+  email: validateEmail,
+  phone: validatePhone
+};
+
+// Validate the fields of an update request body against `allowedFields`.
+// Returns { values, errors }: `values` holds the normalized values to store
+// (null clears an optional field), `errors` maps field names to messages.
+export function validateStudentUpdate(body, allowedFields) {
+  const values = {};
+  const errors = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!allowedFields.includes(field)) {
+      errors[field] = 'This field cannot be updated here';
+      continue;
+    }
+
+    if (value === null || value === '') {
+      if (REQUIRED_FIELDS.includes(field)) {
+        errors[field] = `${field} must not be empty`;
+      } else {
+        values[field] = null;
+      }
+      continue;
+    }
+
+    const result = VALIDATORS[field](value, field);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
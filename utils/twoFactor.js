@@ -0,0 +1,62 @@
+import { pool, sql } from '../db.js';
+import { hashToken } from './password.js';
+import { verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from './totp.js';
+
+// Admin two-factor checks shared by the login challenge and the 2FA management routes
+
+// Verify a TOTP code or a recovery code for an admin row (needs id, totp_secret,
+// totp_last_used_step). Accepted codes are consumed: a TOTP step cannot be reused
+// and a recovery code is marked used. Returns 'totp', 'recovery_code' or null.
+export async function verifySecondFactor(admin, { code, recoveryCode }) {
+  if (code && admin.totp_secret) {
+    const step = verifyTotp(admin.totp_secret, code);
+
+    if (step !== null && (admin.totp_last_used_step === null || step > Number(admin.totp_last_used_step))) {
+      // Conditional update so two concurrent requests cannot both use the same code
+      const { rows } = await pool.query(
+        `UPDATE admins SET totp_last_used_step = $2
+         WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+         RETURNING id`,
+        [admin.id, step]
+      );
+      if (rows.length > 0) return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const { rows } = await pool.query(
+      `UPDATE admin_recovery_codes SET used_at = now()
+       WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [admin.id, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    if (rows.length > 0) return 'recovery_code';
+  }
+
+  return null;
+}
+
+// Replace all recovery codes of an admin. Returns the new plain codes (shown once).
+export async function replaceRecoveryCodes(adminId) {
+  const codes = generateRecoveryCodes();
+
+  await sql.begin(async sql => {
+    await sql`DELETE FROM admin_recovery_codes WHERE admin_id = ${adminId}`;
+    for (const code of codes) {
+      await sql`
+        INSERT INTO admin_recovery_codes (admin_id, code_hash) 
+        VALUES (${adminId}, ${hashToken(normalizeRecoveryCode(code))})
+      `;
+    }
+  });
+
+  return codes;
+}
+
+export async function countUnusedRecoveryCodes(adminId) {
+  const { rows } = await pool.query(
+    'SELECT COUNT(*)::int AS remaining FROM admin_recovery_codes WHERE admin_id = $1 AND used_at IS NULL',
+    [adminId]
+  );
+  return rows[0].remaining;
+}